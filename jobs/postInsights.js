@@ -0,0 +1,28 @@
+const { flushInsights } = require('../utils/insights');
+
+// Cada cuánto se guardan las estadísticas acumuladas en memoria
+const FLUSH_INTERVAL = 60 * 1000;
+
+let running = false;
+
+// Guardar las estadísticas pendientes sin solapar ejecuciones
+const saveInsights = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await flushInsights();
+  } catch (error) {
+    console.error('Error guardando estadísticas de posts:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Arrancar el guardado periódico de estadísticas
+const startPostInsights = () => setInterval(saveInsights, FLUSH_INTERVAL);
+
+module.exports = {
+  saveInsights,
+  startPostInsights
+};
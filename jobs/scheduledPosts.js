@@ -0,0 +1,51 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { findPost, formatPosts } = require('../utils/posts');
+const { emitToPostAudience } = require('../utils/visibility');
+
+// Cada cuánto se buscan posts programados pendientes de publicar
+const POLL_INTERVAL = 30 * 1000;
+
+let running = false;
+
+// Publicar todos los posts programados cuya fecha ya ha pasado y emitirlos
+// como cualquier post nuevo. El estado se guarda en la base de datos, así que
+// los posts pendientes se publican aunque el servidor se haya reiniciado
+const publishDuePosts = async (io) => {
+  // Evitar que dos ejecuciones se solapen si una tarda más que el intervalo
+  if (running) return;
+  running = true;
+
+  try {
+    let published;
+    while ((published = await Post.publishPending({ status: 'scheduled', publishAt: { $lte: new Date() } }))) {
+      try {
+        // El post se formatea como lo ve su autor, igual que al crearlo
+        const author = await User.findById(published.author).select('following blocked muted');
+        if (!author) continue;
+
+        const [postResponse] = await formatPosts([await findPost(published._id)], { user: author });
+        await emitToPostAudience(io, published, 'new_post', postResponse);
+        console.log(`📅 Post programado ${published._id} publicado`);
+      } catch (error) {
+        // El post ya está publicado; solo se pierde la notificación en tiempo real
+        console.error(`Error emitiendo post programado ${published._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error publicando posts programados:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Arrancar la publicación periódica de posts programados
+const startScheduledPosts = (io) => {
+  publishDuePosts(io);
+  return setInterval(() => publishDuePosts(io), POLL_INTERVAL);
+};
+
+module.exports = {
+  publishDuePosts,
+  startScheduledPosts
+};
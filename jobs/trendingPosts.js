@@ -0,0 +1,31 @@
+const { refreshTrending } = require('../utils/trending');
+
+// Cada cuánto se recalculan los rankings de tendencias
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+
+let running = false;
+
+// Recalcular las tendencias sin solapar ejecuciones
+const updateTrending = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await refreshTrending();
+  } catch (error) {
+    console.error('Error calculando tendencias:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Arrancar el cálculo periódico de tendencias
+const startTrendingPosts = () => {
+  updateTrending();
+  return setInterval(updateTrending, REFRESH_INTERVAL);
+};
+
+module.exports = {
+  startTrendingPosts,
+  updateTrending
+};
@@ -16,6 +16,13 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Token no válido' });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        message: 'Tu cuenta está suspendida',
+        suspendedUntil: user.suspendedUntil
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
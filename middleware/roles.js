@@ -0,0 +1,12 @@
+// Permitir el acceso solo a los usuarios con alguno de los roles indicados.
+// Debe usarse después de `auth`
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'No tienes permisos para realizar esta acción' });
+  }
+  next();
+};
+
+module.exports = {
+  requireRole
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { removeUploads } = require('../utils/uploads');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB límite
+
+// Configuración de cada tipo de subida: carpeta dentro de uploads/, prefijo
+// del nombre y tamaños a generar. `main` sustituye al original subido
+const UPLOAD_PRESETS = {
+  post: {
+    folder: '',
+    prefix: 'post',
+    variants: {
+      main: { width: 2048, height: 2048, fit: 'inside' },
+      feed: { width: 1080, height: 1350, fit: 'inside' }
+    }
+  },
+  profile: {
+    folder: 'profiles',
+    prefix: 'profile',
+    variants: {
+      main: { width: 800, height: 800, fit: 'cover' },
+      thumb: { width: 128, height: 128, fit: 'cover' }
+    }
+  },
+  chat: {
+    folder: 'chat',
+    prefix: 'chat',
+    variants: {
+      main: { width: 2048, height: 2048, fit: 'inside' },
+      preview: { width: 480, height: 480, fit: 'inside' }
+    }
+  }
+};
+
+// Comprobar el tipo real del archivo por sus primeros bytes (magic bytes)
+// en lugar de confiar en el mimetype que envía el cliente
+const hasSignature = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const isSupportedImage = (buffer) =>
+  hasSignature(buffer, [0xFF, 0xD8, 0xFF]) || // JPEG
+  hasSignature(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) || // PNG
+  hasSignature(buffer, [0x47, 0x49, 0x46, 0x38]) || // GIF
+  (hasSignature(buffer, [0x52, 0x49, 0x46, 0x46]) && hasSignature(buffer, [0x57, 0x45, 0x42, 0x50], 8)); // WEBP
+
+// Reencodar la imagen a WebP en cada tamaño del preset. Al reencodar se
+// descartan los metadatos (EXIF, GPS...); antes se aplica la orientación EXIF
+const processImage = async (file, preset) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const baseName = `${preset.prefix}-${uniqueSuffix}`;
+  const folder = path.join(UPLOADS_DIR, preset.folder);
+  await fs.promises.mkdir(folder, { recursive: true });
+
+  const image = sharp(file.buffer).rotate();
+  file.variants = {};
+
+  for (const [name, size] of Object.entries(preset.variants)) {
+    const filename = name === 'main' ? `${baseName}.webp` : `${baseName}-${name}.webp`;
+    file.variants[name] = filename;
+
+    await image
+      .clone()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toFile(path.join(folder, filename));
+  }
+
+  file.filename = file.variants.main;
+  file.buffer = null;
+};
+
+const multerErrorMessage = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return 'La imagen no puede superar los 5MB';
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+    return 'Demasiadas imágenes o campo de archivo no válido';
+  }
+  return 'Error subiendo el archivo';
+};
+
+// Middleware para subir imágenes en los campos indicados (formato de
+// multer.fields). Los archivos procesados quedan en req.files con `filename`
+// (tamaño principal) y `variants` (nombre de cada tamaño)
+const uploadImages = (presetName, fields) => {
+  const preset = UPLOAD_PRESETS[presetName];
+  const parseFiles = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE }
+  }).fields(fields);
+
+  return (req, res, next) => {
+    parseFiles(req, res, async (error) => {
+      if (error) {
+        return res.status(400).json({ message: multerErrorMessage(error) });
+      }
+
+      const files = Object.values(req.files || {}).flat();
+
+      if (files.some(file => !isSupportedImage(file.buffer))) {
+        return res.status(400).json({ message: 'Solo se permiten archivos de imagen' });
+      }
+
+      try {
+        for (const file of files) {
+          await processImage(file, preset);
+        }
+      } catch (processError) {
+        console.error('Error procesando imagen:', processError);
+        await removeUploads(files.flatMap(file =>
+          Object.values(file.variants || {}).map(filename => path.join(preset.folder, filename))
+        ));
+        return res.status(400).json({ message: 'No se pudo procesar la imagen' });
+      }
+
+      next();
+    });
+  };
+};
+
+// Igual que uploadImages pero para un único archivo, que queda en req.file
+const uploadImage = (presetName, fieldName) => {
+  const upload = uploadImages(presetName, [{ name: fieldName, maxCount: 1 }]);
+
+  return (req, res, next) => {
+    upload(req, res, () => {
+      req.file = req.files?.[fieldName]?.[0];
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadImage,
+  uploadImages
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Colección en la que está guardado (null si no está en ninguna)
+  bookmarkCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Un usuario solo puede guardar cada post una vez
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, bookmarkCollection: 1, _id: -1 });
+bookmarkSchema.index({ post: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const bookmarkCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  }
+}, {
+  timestamps: true
+});
+
+// Cada usuario no puede repetir el nombre de una colección
+bookmarkCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
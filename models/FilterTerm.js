@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Término del filtro de contenido gestionado por los administradores
+const filterTermSchema = new mongoose.Schema({
+  // Término tal y como lo escribió el administrador
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Término en minúsculas y sin tildes, que es con lo que se compara
+  normalizedTerm: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // block: rechaza el contenido; mask: sustituye el término por asteriscos;
+  // flag: acepta el contenido y crea una denuncia para revisarlo
+  action: {
+    type: String,
+    enum: ['block', 'mask', 'flag'],
+    default: 'mask'
+  },
+  // Solo coincide con palabras completas (si no, también dentro de otras palabras)
+  wholeWord: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FilterTerm', filterTermSchema);
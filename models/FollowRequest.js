@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Solicitud pendiente para seguir a una cuenta privada. Al aceptarla se
+// crea la relación de seguimiento y la solicitud se elimina
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Solo puede haber una solicitud pendiente por pareja de usuarios
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, _id: -1 });
+followRequestSchema.index({ requester: 1, _id: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
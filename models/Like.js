@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { DEFAULT_REACTION, REACTION_TYPES } = require('../utils/reactions');
+
+const likeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reaction: {
+    type: String,
+    enum: REACTION_TYPES,
+    default: DEFAULT_REACTION
+  }
+}, {
+  timestamps: true
+});
+
+// Un usuario solo puede reaccionar una vez a cada post
+likeSchema.index({ post: 1, user: 1 }, { unique: true });
+likeSchema.index({ post: 1, createdAt: -1 });
+likeSchema.index({ user: 1, createdAt: -1 });
+
+// Actualizar de forma atómica los contadores del post tras un cambio de reacción
+const updatePostCounters = (model, postId, previousReaction, reaction) => {
+  const increments = {
+    likesCount: (reaction ? 1 : 0) - (previousReaction ? 1 : 0)
+  };
+  if (previousReaction) {
+    increments[`reactionCounts.${previousReaction}`] = -1;
+  }
+  if (reaction) {
+    increments[`reactionCounts.${reaction}`] = 1;
+  }
+
+  return model.model('Post').updateOne({ _id: postId }, { $inc: increments });
+};
+
+// Guardar la reacción de un usuario (creándola o cambiándola).
+// Devuelve la reacción anterior, o null si no había
+likeSchema.statics.react = async function(postId, userId, reaction) {
+  const filter = { post: postId, user: userId };
+  let previous;
+
+  try {
+    previous = await this.findOneAndUpdate(filter, { reaction }, { upsert: true, new: false });
+  } catch (error) {
+    // Si otra petición ha creado el like a la vez, el índice único rechaza
+    // este upsert y basta con repetirlo como actualización
+    if (error.code !== 11000) throw error;
+    previous = await this.findOneAndUpdate(filter, { reaction }, { new: false });
+  }
+
+  const previousReaction = previous ? previous.reaction : null;
+  if (previousReaction !== reaction) {
+    await updatePostCounters(this, postId, previousReaction, reaction);
+  }
+
+  return previousReaction;
+};
+
+// Añadir una reacción solo si el usuario no había reaccionado.
+// Devuelve false si ya existía
+likeSchema.statics.addReaction = async function(postId, userId, reaction) {
+  try {
+    await this.create({ post: postId, user: userId, reaction });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await updatePostCounters(this, postId, null, reaction);
+  return true;
+};
+
+// Quitar la reacción de un usuario. Devuelve la reacción quitada o null
+likeSchema.statics.removeReaction = async function(postId, userId) {
+  const like = await this.findOneAndDelete({ post: postId, user: userId });
+  if (!like) return null;
+
+  await updatePostCounters(this, postId, like.reaction, null);
+  return like.reaction;
+};
+
+module.exports = mongoose.model('Like', likeSchema);
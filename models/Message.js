@@ -22,6 +22,11 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Versión reducida de la imagen para la vista previa en el chat
+  imagePreview: {
+    type: String,
+    default: null
+  },
   messageType: {
     type: String,
     enum: ['text', 'image'],
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Opciones elegidas (varias solo en encuestas de opción múltiple)
+  options: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Un usuario solo puede votar una vez en cada encuesta
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1 });
+
+// Registrar el voto de un usuario y actualizar de forma atómica los
+// recuentos de la encuesta. Devuelve false si ya había votado
+pollVoteSchema.statics.addVote = async function(postId, userId, optionIds) {
+  try {
+    await this.create({ post: postId, user: userId, options: optionIds });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await this.model('Post').updateOne(
+    { _id: postId },
+    { $inc: { 'poll.votersCount': 1, 'poll.options.$[option].votesCount': 1 } },
+    { arrayFilters: [{ 'option._id': { $in: optionIds } }] }
+  );
+  return true;
+};
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
@@ -1,38 +1,191 @@
 const mongoose = require('mongoose');
+const { stripHTML } = require('../utils/text');
+const { REACTION_TYPES } = require('../utils/reactions');
+const { POST_VISIBILITIES } = require('../utils/visibility');
 
-const postSchema = new mongoose.Schema({
+// Imagen de la galería de un post
+const postImageSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  // Versión reducida para mostrar en los feeds
+  feedPath: {
+    type: String,
+    default: null
+  },
+  // Texto alternativo para accesibilidad
+  alt: {
+    type: String,
+    default: '',
+    maxlength: 500
+  }
+}, {
+  _id: false
+});
+
+// Opción de una encuesta
+const pollOptionSchema = new mongoose.Schema({
   text: {
     type: String,
     required: true,
+    maxlength: 80
+  },
+  votesCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Encuesta adjunta a un post. Los votos se guardan en la colección PollVote,
+// que mantiene estos recuentos
+const pollSchema = new mongoose.Schema({
+  options: [pollOptionSchema],
+  // Permite elegir varias opciones
+  multiple: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  // Usuarios que han votado (en opción múltiple no coincide con la suma de votos)
+  votersCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const postSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    // Un repost simple no lleva texto propio
+    required: function() {
+      return !this.repostOf;
+    },
     maxlength: 5000
   },
   isRichText: {
     type: Boolean,
     default: false
   },
+  // Texto plano del post (sin HTML) para la búsqueda de texto completo
+  searchText: {
+    type: String,
+    default: ''
+  },
+  // Primera imagen de la galería (los posts antiguos solo tienen este campo)
   image: {
     type: String,
     default: null
   },
+  images: [postImageSchema],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  likes: [{
+  // Total de reacciones de cualquier tipo. Las reacciones se guardan en la
+  // colección Like, que mantiene estos contadores
+  likesCount: {
+    type: Number,
+    default: 0
+  },
+  // Recuento por tipo de reacción
+  reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, {
+    type: Number,
+    default: 0
+  }])),
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
+  // Post original compartido (repost simple si no hay texto, cita si lo hay)
+  repostOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  repostsCount: {
+    type: Number,
+    default: 0
+  },
+  // Entidades extraídas del texto al crear o editar el post
+  hashtags: [{
+    type: String,
+    lowercase: true
+  }],
+  mentions: [{
+    _id: false,
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
+    username: {
+      type: String,
+      required: true
+    }
+  }],
+  // Versiones anteriores del post, guardadas al editarlo
+  revisions: [{
+    text: {
+      type: String,
+      required: true
+    },
+    isRichText: {
+      type: Boolean,
+      default: false
+    },
+    image: {
+      type: String,
+      default: null
+    },
+    images: [postImageSchema],
     createdAt: {
       type: Date,
-      default: Date.now
+      required: true
     }
   }],
-  likesCount: {
-    type: Number,
-    default: 0
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  poll: {
+    type: pollSchema,
+    default: null
+  },
+  // Quién puede ver el post: todos, los seguidores del autor o solo los
+  // usuarios que se siguen mutuamente con él
+  visibility: {
+    type: String,
+    enum: POST_VISIBILITIES,
+    default: 'public'
+  },
+  // Copia de `isPrivate` del autor, para filtrar los posts de cuentas privadas
+  // sin consultar a los usuarios. Se actualiza al cambiar la privacidad
+  authorIsPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Ocultado por moderación: deja de mostrarse a todos los usuarios
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Los borradores y los posts programados solo los ve su autor
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  // Fecha en la que se publicará un post programado
+  publishAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -40,70 +193,73 @@ const postSchema = new mongoose.Schema({
 
 // Índices para consultas eficientes
 postSchema.index({ author: 1, createdAt: -1 });
-postSchema.index({ 'likes.user': 1 });
 postSchema.index({ likesCount: -1 });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ repostOf: 1, author: 1 });
+// Un usuario solo puede hacer un repost simple (sin texto) de cada post
+postSchema.index(
+  { author: 1, repostOf: 1 },
+  { unique: true, partialFilterExpression: { text: '' } }
+);
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ 'mentions.user': 1, createdAt: -1 });
+postSchema.index({ searchText: 'text' }, { default_language: 'spanish' });
+postSchema.index({ status: 1, publishAt: 1 });
 
-// Índice compuesto para evitar likes duplicados
-postSchema.index({ _id: 1, 'likes.user': 1 }, { unique: true, sparse: true });
+// Middleware para mantener actualizado el texto de búsqueda
+postSchema.pre('save', function(next) {
+  if (this.isModified('text') || this.isModified('isRichText')) {
+    const text = this.text || '';
+    this.searchText = this.isRichText ? stripHTML(text) : text;
+  }
+  next();
+});
 
-// Middleware para actualizar likesCount automáticamente
+// Middleware para mantener `image` sincronizado con la galería
 postSchema.pre('save', function(next) {
-  if (this.isModified('likes')) {
-    this.likesCount = this.likes.length;
+  if (this.isModified('images')) {
+    this.image = this.images.length > 0 ? this.images[0].path : null;
   }
   next();
 });
 
-// Método para verificar si un usuario ha dado like - MEJORADO
-postSchema.methods.hasUserLiked = function(userId) {
-  if (!userId) return false;
-  const userIdStr = userId.toString();
-  return this.likes.some(like => like.user.toString() === userIdStr);
+// Método para obtener todas las imágenes subidas, incluidas las de revisiones
+postSchema.methods.getUploadedImagePaths = function() {
+  const versions = [this, ...(this.revisions || [])];
+  const paths = versions.flatMap(version => [
+    version.image,
+    ...(version.images || []).flatMap(image => [image.path, image.feedPath])
+  ]);
+  return [...new Set(paths.filter(Boolean))];
 };
 
-// Método para añadir like - MEJORADO
-postSchema.methods.addLike = function(userId) {
-  if (!userId) return false;
-  
-  const userIdStr = userId.toString();
-  
-  // Verificar si ya existe el like
-  const existingLike = this.likes.find(like => 
-    like.user.toString() === userIdStr
-  );
-  
-  if (existingLike) {
-    console.log(`Usuario ${userIdStr} ya ha dado like a este post`);
-    return false;
-  }
-  
-  // Añadir el like
-  this.likes.push({ user: userId });
-  console.log(`Like añadido por usuario ${userIdStr}. Total likes: ${this.likes.length}`);
-  return true;
+// Método para saber si es un repost sin texto propio
+postSchema.methods.isPlainRepost = function() {
+  return Boolean(this.repostOf) && !this.text;
 };
 
-// Método para quitar like - MEJORADO
-postSchema.methods.removeLike = function(userId) {
-  if (!userId) return false;
-  
-  const userIdStr = userId.toString();
-  const initialLength = this.likes.length;
-  
-  // Filtrar el like del usuario
-  this.likes = this.likes.filter(like => 
-    like.user.toString() !== userIdStr
+// Método para saber si la encuesta del post ya no admite votos
+postSchema.methods.isPollClosed = function() {
+  return Boolean(this.poll) && this.poll.closesAt <= new Date();
+};
+
+// Método para saber si el post ya es visible para los demás usuarios
+postSchema.methods.isPublished = function() {
+  return this.status === 'published';
+};
+
+// Publicar de forma atómica un borrador o post programado que cumpla `filter`.
+// Solo una llamada puede hacer la transición, así que un post nunca se publica
+// dos veces. La fecha de creación pasa a ser la de publicación para que el
+// post aparezca arriba en los feeds; se actualiza sobre la colección porque
+// Mongoose no permite modificar createdAt. Devuelve el documento publicado o null
+postSchema.statics.publishPending = function(filter) {
+  const now = new Date();
+  return this.collection.findOneAndUpdate(
+    { ...filter, status: { $in: ['draft', 'scheduled'] } },
+    { $set: { status: 'published', publishAt: null, createdAt: now, updatedAt: now } },
+    { sort: { publishAt: 1 }, returnDocument: 'after' }
   );
-  
-  const removed = this.likes.length < initialLength;
-  if (removed) {
-    console.log(`Like removido por usuario ${userIdStr}. Total likes: ${this.likes.length}`);
-  } else {
-    console.log(`No se encontró like del usuario ${userIdStr} para remover`);
-  }
-  
-  return removed;
 };
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Estadísticas de un post agrupadas por hora. Cada documento acumula las
+// impresiones y reacciones recibidas en una hora concreta
+const postInsightSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Autor del post, para resumir las estadísticas de todo un perfil
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Inicio de la hora (minutos y segundos a cero)
+  hour: {
+    type: Date,
+    required: true
+  },
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  }
+});
+
+postInsightSchema.index({ post: 1, hour: 1 }, { unique: true });
+postInsightSchema.index({ author: 1, hour: 1 });
+
+module.exports = mongoose.model('PostInsight', postInsightSchema);
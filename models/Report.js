@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Motivos de denuncia
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'misinformation', 'other'];
+
+// Acciones con las que un moderador puede resolver una denuncia
+const REPORT_ACTIONS = ['none', 'hide_post', 'delete_message', 'suspend_user'];
+
+const reportSchema = new mongoose.Schema({
+  // null en las denuncias creadas automáticamente por el filtro de contenido
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'message', 'comment', 'user'],
+    required: true
+  },
+  // Contenido denunciado (solo uno según `targetType`)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Autor del contenido o usuario denunciado
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Moderador que está revisando la denuncia
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS,
+      default: null
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 500
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para la cola de moderación y para evitar denuncias repetidas
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reporter: 1, targetType: 1, post: 1, message: 1, comment: 1, reportedUser: 1 });
+reportSchema.index({ reportedUser: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
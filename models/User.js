@@ -1,6 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Nombre de usuario anterior. Mientras está reservado nadie más puede
+// usarlo y las búsquedas por él llevan a la cuenta actual
+const previousUsernameSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    required: true
+  },
+  reservedUntil: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -10,6 +27,12 @@ const userSchema = new mongoose.Schema({
     minlength: 3,
     maxlength: 20
   },
+  // Último cambio de nombre de usuario, para aplicar el tiempo de espera
+  usernameChangedAt: {
+    type: Date,
+    default: null
+  },
+  previousUsernames: [previousUsernameSchema],
   email: {
     type: String,
     required: true,
@@ -26,6 +49,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Miniatura de la foto de perfil para avatares en listados
+  profilePictureThumb: {
+    type: String,
+    default: null
+  },
   description: {
     type: String,
     default: 'Sin descripción',
@@ -47,6 +75,30 @@ const userSchema = new mongoose.Schema({
     default: 'No especificado',
     maxlength: 200
   },
+  // Quién puede ver cada dato personal del perfil: todos, solo los
+  // seguidores o solo el propio usuario
+  privacy: {
+    email: {
+      type: String,
+      enum: ['public', 'followers', 'only_me'],
+      default: 'only_me'
+    },
+    age: {
+      type: String,
+      enum: ['public', 'followers', 'only_me'],
+      default: 'followers'
+    },
+    gender: {
+      type: String,
+      enum: ['public', 'followers', 'only_me'],
+      default: 'followers'
+    },
+    studies: {
+      type: String,
+      enum: ['public', 'followers', 'only_me'],
+      default: 'public'
+    }
+  },
   theme: {
     type: String,
     enum: ['light', 'dark', 'red-dark', 'blue-dark', 'green-dark'],
@@ -69,11 +121,71 @@ const userSchema = new mongoose.Schema({
   following: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Las cuentas privadas solo muestran sus posts y sus listas de seguidores
+  // a quienes las siguen, y seguirlas requiere aprobar una solicitud
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Usuarios bloqueados: no pueden seguirle, ver sus posts ni escribirle
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Usuarios silenciados: sus posts no aparecen en los feeds de este usuario.
+  // El usuario silenciado no lo sabe
+  muted: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Posts propios fijados en el perfil, del más reciente al más antiguo
+  pinnedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  // Permisos: los moderadores y administradores gestionan las denuncias
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Suspensión por moderación: la cuenta no puede usarse hasta esta fecha
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null,
+    maxlength: 500
+  }
 }, {
   timestamps: true
 });
 
+userSchema.index({ 'previousUsernames.username': 1 });
+
+// Condición de un nombre anterior que sigue reservado
+const reservedUsername = (username) => ({
+  previousUsernames: { $elemMatch: { username, reservedUntil: { $gt: new Date() } } }
+});
+
+// Buscar un usuario por su nombre actual o por uno anterior aún reservado.
+// Devuelve una consulta, así que admite select y populate. Si se encontró por
+// un nombre anterior, `user.username` es distinto del buscado
+userSchema.statics.findByUsername = function(username) {
+  return this.findOne({ $or: [{ username }, reservedUsername(username)] });
+};
+
+// Saber si un nombre está en uso o reservado por otro usuario (`exceptUserId`
+// permite a un usuario recuperar sus propios nombres anteriores)
+userSchema.statics.isUsernameTaken = async function(username, exceptUserId = null) {
+  const filter = { $or: [{ username }, reservedUsername(username)] };
+  if (exceptUserId) filter._id = { $ne: exceptUserId };
+  return Boolean(await this.exists(filter));
+};
+
 // Hash password antes de guardar
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -87,6 +199,11 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Método para saber si la cuenta está suspendida ahora mismo
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspendedUntil) && this.suspendedUntil > new Date();
+};
+
 // Método para comparar contraseñas
 userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
@@ -6,8 +6,20 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Like = require('../models/Like');
+const PollVote = require('../models/PollVote');
+const PostInsight = require('../models/PostInsight');
+const FollowRequest = require('../models/FollowRequest');
+const Report = require('../models/Report');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const { avatarUrl, profilePictureUrl, removeUploads } = require('../utils/uploads');
+const { serializeProfile } = require('../utils/profiles');
+const { emitToPostAudience } = require('../utils/visibility');
+const { usernameRules } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -22,11 +34,7 @@ const transporter = nodemailer.createTransport({
 
 // Registrar usuario
 router.post('/register', [
-  body('username')
-    .isLength({ min: 3, max: 20 })
-    .withMessage('El nombre de usuario debe tener entre 3 y 20 caracteres')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('El nombre de usuario solo puede contener letras, números y guiones bajos'),
+  usernameRules(),
   body('email').isEmail().withMessage('Email no válido'),
   body('password').isLength({ min: 6 }).withMessage('La contraseña debe tener al menos 6 caracteres')
 ], async (req, res) => {
@@ -42,17 +50,15 @@ router.post('/register', [
     const { username, email, password } = req.body;
 
     // Verificar si el usuario ya existe
-    const existingUser = await User.findOne({ 
-      $or: [{ email }, { username }] 
-    });
+    const existingUser = await User.findOne({ email });
     
     if (existingUser) {
-      if (existingUser.email === email) {
-        return res.status(400).json({ message: 'Este email ya está registrado' });
-      }
-      if (existingUser.username === username) {
-        return res.status(400).json({ message: 'Este nombre de usuario ya está en uso' });
-      }
+      return res.status(400).json({ message: 'Este email ya está registrado' });
+    }
+
+    // Los nombres anteriores de otros usuarios siguen reservados un tiempo
+    if (await User.isUsernameTaken(username)) {
+      return res.status(400).json({ message: 'Este nombre de usuario ya está en uso' });
     }
 
     // Crear nuevo usuario
@@ -74,7 +80,8 @@ router.post('/register', [
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicture,
-        theme: user.theme
+        theme: user.theme,
+        role: user.role
       }
     });
   } catch (error) {
@@ -111,6 +118,14 @@ router.post('/login', [
       return res.status(401).json({ message: 'Credenciales inválidas' });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        message: 'Tu cuenta está suspendida',
+        suspendedUntil: user.suspendedUntil,
+        reason: user.suspensionReason
+      });
+    }
+
     // Generar token JWT
     const token = jwt.sign(
       { userId: user._id },
@@ -125,9 +140,10 @@ router.post('/login', [
         id: user._id,
         username: user.username,
         email: user.email,
-        profilePicture: user.profilePicture ? 
-          `${req.protocol}://${req.get('host')}/uploads/profiles/${user.profilePicture}` : null,
-        theme: user.theme
+        profilePicture: profilePictureUrl(req, user.profilePicture),
+        profilePictureThumb: avatarUrl(req, user),
+        theme: user.theme,
+        role: user.role
       }
     });
   } catch (error) {
@@ -142,17 +158,9 @@ router.get('/me', auth, async (req, res) => {
     const user = await User.findById(req.user._id).select('-password');
     
     const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      profilePicture: user.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${user.profilePicture}` : null,
-      description: user.description,
-      gender: user.gender,
-      age: user.age,
-      studies: user.studies,
+      ...serializeProfile(req, user, user, { detailed: true }),
       theme: user.theme,
-      createdAt: user.createdAt
+      role: user.role
     };
 
     res.json({ user: userData });
@@ -349,32 +357,90 @@ router.delete('/delete-account', auth, async (req, res) => {
 
     console.log(`Iniciando eliminación de cuenta para usuario: ${currentUser.username} (ID: ${userId})`);
 
-    // 1. Eliminar todos los posts del usuario
+    // 1. Eliminar todos los posts del usuario y los reposts simples de ellos
     const userPosts = await Post.find({ author: userId });
+    const plainReposts = await Post.find({
+      repostOf: { $in: userPosts.map(post => post._id) },
+      text: ''
+    }).select('author visibility authorIsPrivate');
+    const deletedPosts = [...userPosts, ...plainReposts];
     console.log(`Eliminando ${userPosts.length} posts del usuario`);
     
-    for (const post of userPosts) {
+    for (const post of deletedPosts) {
       // Emitir evento de socket para posts eliminados
-      if (req.app.get('socketio')) {
-        req.app.get('socketio').emit('post_deleted', { postId: post._id });
+      await emitToPostAudience(req.app.get('socketio'), post, 'post_deleted', { postId: post._id });
+    }
+
+    // Descontar los reposts y citas del usuario de los posts originales
+    for (const post of userPosts) {
+      if (post.repostOf) {
+        await Post.findByIdAndUpdate(post.repostOf, { $inc: { repostsCount: -1 } });
       }
     }
-    await Post.deleteMany({ author: userId });
 
-    // 2. Eliminar likes del usuario en posts de otros usuarios
-    await Post.updateMany(
-      { 'likes.user': userId },
-      { $pull: { likes: { user: userId } } }
+    await Comment.deleteMany({ post: { $in: deletedPosts.map(post => post._id) } });
+    await Bookmark.deleteMany({ post: { $in: deletedPosts.map(post => post._id) } });
+    await Like.deleteMany({ post: { $in: deletedPosts.map(post => post._id) } });
+    await PollVote.deleteMany({ post: { $in: deletedPosts.map(post => post._id) } });
+    await PostInsight.deleteMany({ author: userId });
+    await User.updateMany(
+      { pinnedPosts: { $in: deletedPosts.map(post => post._id) } },
+      { $pull: { pinnedPosts: { $in: deletedPosts.map(post => post._id) } } }
     );
+    await Post.deleteMany({ _id: { $in: deletedPosts.map(post => post._id) } });
+
+    // 2. Descontar las reacciones del usuario de los posts de otros usuarios
+    const likesByPost = await Like.aggregate([
+      { $match: { user: userId } },
+      { $group: { _id: { post: '$post', reaction: '$reaction' }, count: { $sum: 1 } } }
+    ]);
+    if (likesByPost.length > 0) {
+      await Post.bulkWrite(likesByPost.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id: _id.post },
+          update: { $inc: { likesCount: -count, [`reactionCounts.${_id.reaction}`]: -count } }
+        }
+      })));
+    }
 
-    // 3. Actualizar likesCount en todos los posts afectados
-    const postsWithLikes = await Post.find({ 'likes.user': { $exists: true } });
-    for (const post of postsWithLikes) {
-      post.likesCount = post.likes.length;
-      await post.save();
+    // 3. Eliminar las reacciones del usuario y sus votos en encuestas
+    await Like.deleteMany({ user: userId });
+
+    const pollVotes = await PollVote.find({ user: userId }).select('post options');
+    if (pollVotes.length > 0) {
+      await Post.bulkWrite(pollVotes.map(vote => ({
+        updateOne: {
+          filter: { _id: vote.post },
+          update: { $inc: { 'poll.votersCount': -1, 'poll.options.$[option].votesCount': -1 } },
+          arrayFilters: [{ 'option._id': { $in: vote.options } }]
+        }
+      })));
     }
+    await PollVote.deleteMany({ user: userId });
+
+    // 4. Anonimizar los comentarios del usuario en posts de otros usuarios
+    const commentsByPost = await Comment.aggregate([
+      { $match: { author: userId, isDeleted: false } },
+      { $group: { _id: '$post', count: { $sum: 1 } } }
+    ]);
+    for (const { _id: postId, count } of commentsByPost) {
+      await Post.findByIdAndUpdate(postId, { $inc: { commentsCount: -count } });
+    }
+    await Comment.updateMany(
+      { author: userId },
+      { 
+        isDeleted: true, 
+        deletedAt: new Date(),
+        text: '[Usuario eliminado]'
+      }
+    );
+
+    // 5. Eliminar los guardados y colecciones del usuario y sus denuncias
+    await Bookmark.deleteMany({ user: userId });
+    await BookmarkCollection.deleteMany({ user: userId });
+    await Report.deleteMany({ $or: [{ reporter: userId }, { reportedUser: userId }] });
 
-    // 4. Eliminar el usuario de las listas de seguidores y seguidos
+    // 6. Eliminar el usuario de las listas de seguidores y seguidos
     await User.updateMany(
       { followers: userId },
       { $pull: { followers: userId } }
@@ -385,7 +451,14 @@ router.delete('/delete-account', auth, async (req, res) => {
       { $pull: { following: userId } }
     );
 
-    // 5. Eliminar conversaciones donde el usuario es participante
+    await FollowRequest.deleteMany({ $or: [{ requester: userId }, { target: userId }] });
+
+    await User.updateMany(
+      { $or: [{ blocked: userId }, { muted: userId }] },
+      { $pull: { blocked: userId, muted: userId } }
+    );
+
+    // 7. Eliminar conversaciones donde el usuario es participante
     const userConversations = await Conversation.find({ participants: userId });
     for (const conversation of userConversations) {
       // Marcar mensajes como eliminados en lugar de borrarlos completamente
@@ -411,23 +484,13 @@ router.delete('/delete-account', auth, async (req, res) => {
       }
     }
 
-    // 6. Eliminar archivos físicos del usuario (foto de perfil)
-    const fs = require('fs');
-    const path = require('path');
-    
-    if (currentUser.profilePicture) {
-      const profilePicPath = path.join(__dirname, '../uploads/profiles/', currentUser.profilePicture);
-      try {
-        if (fs.existsSync(profilePicPath)) {
-          fs.unlinkSync(profilePicPath);
-          console.log(`Foto de perfil eliminada: ${profilePicPath}`);
-        }
-      } catch (error) {
-        console.error('Error eliminando foto de perfil:', error);
-      }
-    }
+    // 8. Eliminar archivos físicos del usuario (imágenes de sus posts y foto de perfil)
+    await removeUploads(userPosts.flatMap(post => post.getUploadedImagePaths()));
+    await removeUploads([currentUser.profilePicture, currentUser.profilePictureThumb]
+      .filter(Boolean)
+      .map(filename => `profiles/${filename}`));
 
-    // 7. Finalmente, eliminar el usuario
+    // 9. Finalmente, eliminar el usuario
     await User.findByIdAndDelete(userId);
 
     console.log(`Cuenta del usuario ${currentUser.username} eliminada exitosamente`);
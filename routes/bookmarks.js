@@ -0,0 +1,202 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const auth = require('../middleware/auth');
+const { findPostsByIds, formatPosts, getPageSize, idCursorFilter } = require('../utils/posts');
+
+const router = express.Router();
+
+const collectionNameRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre de la colección es requerido')
+    .isLength({ max: 50 })
+    .withMessage('El nombre no puede exceder 50 caracteres')
+];
+
+// Formatear una colección para la respuesta
+const formatCollection = (collection, bookmarksCount = 0) => ({
+  id: collection._id,
+  name: collection.name,
+  bookmarksCount,
+  createdAt: collection.createdAt
+});
+
+// Obtener los posts guardados, del más reciente al más antiguo.
+// ?collection=<id> filtra por colección y ?collection=none muestra los que no
+// están en ninguna. Paginado por cursor (?before=<bookmarkId>&limit=)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { collection, before, limit } = req.query;
+    const pageSize = getPageSize(limit);
+
+    const filter = { user: req.user._id };
+
+    if (collection === 'none') {
+      filter.bookmarkCollection = null;
+    } else if (collection) {
+      const ownCollection = mongoose.isValidObjectId(collection) &&
+        await BookmarkCollection.exists({ _id: collection, user: req.user._id });
+      if (!ownCollection) {
+        return res.status(404).json({ message: 'Colección no encontrada' });
+      }
+      filter.bookmarkCollection = collection;
+    }
+
+    const cursorFilter = idCursorFilter(before);
+    if (!cursorFilter) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    const bookmarks = await Bookmark.find({ ...filter, ...cursorFilter })
+      .sort({ _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = bookmarks.length > pageSize;
+    const pageBookmarks = bookmarks.slice(0, pageSize);
+
+    const posts = await findPostsByIds(pageBookmarks.map(bookmark => bookmark.post), req.user);
+    const formattedPosts = await formatPosts(posts, req);
+    const postsById = new Map(formattedPosts.map(post => [post.id.toString(), post]));
+
+    res.json({
+      bookmarks: pageBookmarks
+        .filter(bookmark => postsById.has(bookmark.post.toString()))
+        .map(bookmark => ({
+          id: bookmark._id,
+          collectionId: bookmark.bookmarkCollection,
+          savedAt: bookmark.createdAt,
+          post: postsById.get(bookmark.post.toString())
+        })),
+      nextCursor: hasMore ? pageBookmarks[pageBookmarks.length - 1]._id.toString() : null
+    });
+  } catch (error) {
+    console.error('Error obteniendo guardados:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener las colecciones del usuario con el número de posts de cada una
+router.get('/collections', auth, async (req, res) => {
+  try {
+    const collections = await BookmarkCollection.find({ user: req.user._id })
+      .sort({ name: 1 });
+
+    const counts = await Bookmark.aggregate([
+      { $match: { user: req.user._id, bookmarkCollection: { $ne: null } } },
+      { $group: { _id: '$bookmarkCollection', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json(collections.map(collection =>
+      formatCollection(collection, countsById.get(collection._id.toString()))
+    ));
+  } catch (error) {
+    console.error('Error obteniendo colecciones:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Crear colección
+router.post('/collections', auth, collectionNameRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos de colección no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.body;
+
+    const existingCollection = await BookmarkCollection.exists({ user: req.user._id, name });
+    if (existingCollection) {
+      return res.status(400).json({ message: 'Ya tienes una colección con ese nombre' });
+    }
+
+    const collection = new BookmarkCollection({ user: req.user._id, name });
+    await collection.save();
+
+    res.status(201).json({
+      message: 'Colección creada exitosamente',
+      collection: formatCollection(collection)
+    });
+  } catch (error) {
+    console.error('Error creando colección:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Renombrar colección
+router.put('/collections/:id', auth, collectionNameRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos de colección no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.body;
+
+    const duplicate = await BookmarkCollection.exists({
+      user: req.user._id,
+      name,
+      _id: { $ne: req.params.id }
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: 'Ya tienes una colección con ese nombre' });
+    }
+
+    const collection = await BookmarkCollection.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { name },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Colección no encontrada' });
+    }
+
+    const bookmarksCount = await Bookmark.countDocuments({ bookmarkCollection: collection._id });
+
+    res.json({
+      message: 'Colección actualizada exitosamente',
+      collection: formatCollection(collection, bookmarksCount)
+    });
+  } catch (error) {
+    console.error('Error actualizando colección:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Eliminar colección. Los posts guardados en ella se conservan sin colección
+router.delete('/collections/:id', auth, async (req, res) => {
+  try {
+    const collection = await BookmarkCollection.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Colección no encontrada' });
+    }
+
+    await Bookmark.updateMany(
+      { user: req.user._id, bookmarkCollection: collection._id },
+      { bookmarkCollection: null }
+    );
+
+    res.json({ message: 'Colección eliminada exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando colección:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,61 +1,23 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const { body, validationResult } = require('express-validator');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { checkMutualFollow, isBlockedBetween } = require('../utils/follows');
+const { filterContent, flagContent } = require('../utils/contentFilter');
+const { avatarUrl, removeUploads } = require('../utils/uploads');
 
 const router = express.Router();
 
-// Configuración de multer para imágenes de chat
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/chat/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'chat-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Solo se permiten archivos de imagen'), false);
-  }
-};
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB límite
-  }
-});
-
-// Verificar seguimiento mutuo
-const checkMutualFollow = async (userId1, userId2) => {
-  const user1 = await User.findById(userId1);
-  const user2 = await User.findById(userId2);
-  
-  if (!user1 || !user2) return false;
-  
-  const user1FollowsUser2 = user1.following.includes(userId2);
-  const user2FollowsUser1 = user2.following.includes(userId1);
-  
-  return user1FollowsUser2 && user2FollowsUser1;
-};
-
 // Verificar si se puede chatear con un usuario
 router.get('/can-chat/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
     const currentUserId = req.user._id;
 
-    const targetUser = await User.findOne({ username });
+    const targetUser = await User.findByUsername(username);
     if (!targetUser) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
@@ -82,7 +44,7 @@ router.post('/conversation/:username', auth, async (req, res) => {
     const { username } = req.params;
     const currentUserId = req.user._id;
 
-    const targetUser = await User.findOne({ username });
+    const targetUser = await User.findByUsername(username);
     if (!targetUser) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
@@ -102,7 +64,7 @@ router.post('/conversation/:username', auth, async (req, res) => {
         participants: [currentUserId, targetUser._id]
       });
       await conversation.save();
-      await conversation.populate('participants', 'username profilePicture');
+      await conversation.populate('participants', 'username profilePicture profilePictureThumb');
     }
 
     res.json({
@@ -110,8 +72,7 @@ router.post('/conversation/:username', auth, async (req, res) => {
       participants: conversation.participants.map(p => ({
         id: p._id,
         username: p.username,
-        profilePicture: p.profilePicture ? 
-          `${req.protocol}://${req.get('host')}/uploads/profiles/${p.profilePicture}` : null
+        profilePicture: avatarUrl(req, p)
       }))
     });
   } catch (error) {
@@ -137,7 +98,7 @@ router.get('/conversation/:conversationId/messages', auth, async (req, res) => {
       conversation: conversationId,
       isDeleted: false
     })
-    .populate('sender', 'username profilePicture')
+    .populate('sender', 'username profilePicture profilePictureThumb')
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
@@ -146,12 +107,13 @@ router.get('/conversation/:conversationId/messages', auth, async (req, res) => {
       id: message._id,
       content: message.content,
       image: message.image ? `${req.protocol}://${req.get('host')}/uploads/chat/${message.image}` : null,
+      imagePreview: message.image ?
+        `${req.protocol}://${req.get('host')}/uploads/chat/${message.imagePreview || message.image}` : null,
       messageType: message.messageType,
       sender: {
         id: message.sender._id,
         username: message.sender.username,
-        profilePicture: message.sender.profilePicture ? 
-          `${req.protocol}://${req.get('host')}/uploads/profiles/${message.sender.profilePicture}` : null
+        profilePicture: avatarUrl(req, message.sender)
       },
       createdAt: message.createdAt,
       isOwn: message.sender._id.toString() === currentUserId.toString()
@@ -165,10 +127,13 @@ router.get('/conversation/:conversationId/messages', auth, async (req, res) => {
 });
 
 // Enviar mensaje
-router.post('/message', auth, upload.single('image'), [
+router.post('/message', auth, uploadImage('chat', 'image'), [
   body('conversationId').notEmpty().withMessage('ID de conversación requerido'),
   body('content').optional().isLength({ max: 1000 }).withMessage('Mensaje muy largo')
 ], async (req, res) => {
+  // La imagen ya está en disco: si el mensaje no llega a guardarse se borra
+  let messageSaved = false;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -181,6 +146,7 @@ router.post('/message', auth, upload.single('image'), [
     const { conversationId, content } = req.body;
     const currentUserId = req.user._id;
     const image = req.file ? req.file.filename : null;
+    const imagePreview = req.file ? req.file.variants.preview : null;
 
     // Validar que hay contenido o imagen
     if (!content && !image) {
@@ -193,24 +159,44 @@ router.post('/message', auth, upload.single('image'), [
       return res.status(403).json({ message: 'No tienes acceso a esta conversación' });
     }
 
-    // Verificar seguimiento mutuo (por seguridad)
     const otherParticipant = conversation.participants.find(p => p.toString() !== currentUserId.toString());
+
+    // Un bloqueo en cualquier dirección impide enviar mensajes
+    if (await isBlockedBetween(currentUserId, otherParticipant)) {
+      return res.status(403).json({ message: 'No puedes enviar mensajes a este usuario' });
+    }
+
+    // Verificar seguimiento mutuo (por seguridad)
     const canChat = await checkMutualFollow(currentUserId, otherParticipant);
     if (!canChat) {
       return res.status(403).json({ message: 'Ya no pueden chatear. Verificar seguimiento mutuo.' });
     }
 
+    const filteredContent = await filterContent(content || '');
+    if (filteredContent.blockedTerms.length > 0) {
+      return res.status(400).json({
+        message: 'El mensaje incluye términos no permitidos',
+        terms: filteredContent.blockedTerms
+      });
+    }
+
     // Crear mensaje
     const message = new Message({
       conversation: conversationId,
       sender: currentUserId,
-      content: content || '',
+      content: filteredContent.text,
       image,
+      imagePreview,
       messageType: image ? 'image' : 'text'
     });
 
     await message.save();
-    await message.populate('sender', 'username profilePicture');
+    messageSaved = true;
+    await message.populate('sender', 'username profilePicture profilePictureThumb');
+
+    if (filteredContent.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'message', message: message._id, reportedUser: currentUserId }, filteredContent.flaggedTerms);
+    }
 
     // Actualizar conversación
     await Conversation.findByIdAndUpdate(conversationId, {
@@ -222,12 +208,13 @@ router.post('/message', auth, upload.single('image'), [
       id: message._id,
       content: message.content,
       image: message.image ? `${req.protocol}://${req.get('host')}/uploads/chat/${message.image}` : null,
+      imagePreview: message.image ?
+        `${req.protocol}://${req.get('host')}/uploads/chat/${message.imagePreview || message.image}` : null,
       messageType: message.messageType,
       sender: {
         id: message.sender._id,
         username: message.sender.username,
-        profilePicture: message.sender.profilePicture ? 
-          `${req.protocol}://${req.get('host')}/uploads/profiles/${message.sender.profilePicture}` : null
+        profilePicture: avatarUrl(req, message.sender)
       },
       createdAt: message.createdAt,
       isOwn: true
@@ -242,6 +229,10 @@ router.post('/message', auth, upload.single('image'), [
   } catch (error) {
     console.error('Error enviando mensaje:', error);
     res.status(500).json({ message: 'Error del servidor' });
+  } finally {
+    if (!messageSaved && req.file) {
+      await removeUploads(Object.values(req.file.variants).map(filename => `chat/${filename}`));
+    }
   }
 });
 
@@ -286,7 +277,7 @@ router.get('/conversations', auth, async (req, res) => {
     const conversations = await Conversation.find({
       participants: currentUserId
     })
-    .populate('participants', 'username profilePicture')
+    .populate('participants', 'username profilePicture profilePictureThumb')
     .populate('lastMessage')
     .sort({ lastActivity: -1 });
 
@@ -298,8 +289,7 @@ router.get('/conversations', auth, async (req, res) => {
         participant: {
           id: otherParticipant._id,
           username: otherParticipant.username,
-          profilePicture: otherParticipant.profilePicture ? 
-            `${req.protocol}://${req.get('host')}/uploads/profiles/${otherParticipant.profilePicture}` : null
+          profilePicture: avatarUrl(req, otherParticipant)
         },
         lastMessage: conv.lastMessage ? {
           content: conv.lastMessage.content,
@@ -1,17 +1,22 @@
 const express = require('express');
 const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
 const auth = require('../middleware/auth');
+const { addFollow, canViewAccount, isBlockedBetween } = require('../utils/follows');
+const { getPageSize, idCursorFilter } = require('../utils/posts');
+const { serializeProfile } = require('../utils/profiles');
 
 const router = express.Router();
 
-// Seguir a un usuario
+// Seguir a un usuario. Si la cuenta es privada se envía una solicitud que
+// debe aprobar
 router.post('/follow/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
     const currentUserId = req.user._id;
 
     // Buscar el usuario a seguir
-    const userToFollow = await User.findOne({ username });
+    const userToFollow = await User.findByUsername(username);
     if (!userToFollow) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
@@ -27,18 +32,50 @@ router.post('/follow/:username', auth, async (req, res) => {
       return res.status(400).json({ message: 'Ya sigues a este usuario' });
     }
 
-    // Agregar la relación de seguimiento
-    await User.findByIdAndUpdate(currentUserId, {
-      $addToSet: { following: userToFollow._id }
-    });
+    // No se puede seguir a quien se ha bloqueado ni a quien te ha bloqueado
+    if (await isBlockedBetween(currentUserId, userToFollow._id)) {
+      return res.status(403).json({ message: 'No puedes seguir a este usuario' });
+    }
 
-    await User.findByIdAndUpdate(userToFollow._id, {
-      $addToSet: { followers: currentUserId }
-    });
+    if (userToFollow.isPrivate) {
+      const pendingRequest = await FollowRequest.exists({
+        requester: currentUserId,
+        target: userToFollow._id
+      });
+      if (pendingRequest) {
+        return res.status(400).json({ message: 'Ya has enviado una solicitud a este usuario' });
+      }
+
+      try {
+        const request = await FollowRequest.create({ requester: currentUserId, target: userToFollow._id });
+
+        // Avisar en tiempo real a la cuenta privada
+        if (req.app.get('socketio')) {
+          req.app.get('socketio').to(`user_${userToFollow._id}`).emit('follow_request', {
+            id: request._id,
+            user: serializeProfile(req, req.user, userToFollow),
+            createdAt: request.createdAt
+          });
+        }
+      } catch (error) {
+        // Dos peticiones simultáneas: la otra ya creó la solicitud
+        if (error.code !== 11000) throw error;
+      }
+
+      return res.json({
+        message: 'Solicitud de seguimiento enviada',
+        isFollowing: false,
+        status: 'pending'
+      });
+    }
+
+    // Agregar la relación de seguimiento
+    await addFollow(currentUserId, userToFollow._id);
 
     res.json({ 
       message: 'Usuario seguido exitosamente',
-      isFollowing: true
+      isFollowing: true,
+      status: 'following'
     });
   } catch (error) {
     console.error('Error siguiendo usuario:', error);
@@ -46,14 +83,14 @@ router.post('/follow/:username', auth, async (req, res) => {
   }
 });
 
-// Dejar de seguir a un usuario
+// Dejar de seguir a un usuario (también cancela una solicitud pendiente)
 router.delete('/unfollow/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
     const currentUserId = req.user._id;
 
     // Buscar el usuario a dejar de seguir
-    const userToUnfollow = await User.findOne({ username });
+    const userToUnfollow = await User.findByUsername(username);
     if (!userToUnfollow) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
@@ -67,9 +104,12 @@ router.delete('/unfollow/:username', auth, async (req, res) => {
       $pull: { followers: currentUserId }
     });
 
+    await FollowRequest.deleteOne({ requester: currentUserId, target: userToUnfollow._id });
+
     res.json({ 
       message: 'Dejaste de seguir al usuario',
-      isFollowing: false
+      isFollowing: false,
+      status: 'none'
     });
   } catch (error) {
     console.error('Error dejando de seguir usuario:', error);
@@ -77,45 +117,55 @@ router.delete('/unfollow/:username', auth, async (req, res) => {
   }
 });
 
-// Obtener estado de seguimiento
+// Obtener estado de seguimiento: following, pending (solicitud enviada a una
+// cuenta privada) o none
 router.get('/status/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
     const currentUserId = req.user._id;
 
-    const userToCheck = await User.findOne({ username });
+    const userToCheck = await User.findByUsername(username);
     if (!userToCheck) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
 
     const currentUser = await User.findById(currentUserId);
     const isFollowing = currentUser.following.includes(userToCheck._id);
+    const isPending = !isFollowing && await FollowRequest.exists({
+      requester: currentUserId,
+      target: userToCheck._id
+    });
 
-    res.json({ isFollowing });
+    res.json({
+      isFollowing,
+      status: isFollowing ? 'following' : isPending ? 'pending' : 'none',
+      isPrivate: userToCheck.isPrivate,
+      isBlocked: currentUser.blocked.includes(userToCheck._id),
+      isMuted: currentUser.muted.includes(userToCheck._id)
+    });
   } catch (error) {
     console.error('Error verificando estado de seguimiento:', error);
     res.status(500).json({ message: 'Error del servidor' });
   }
 });
 
-// Obtener seguidores de un usuario
+// Obtener seguidores de un usuario (en cuentas privadas, solo sus seguidores)
 router.get('/followers/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
-    const user = await User.findOne({ username })
-      .populate('followers', 'username profilePicture')
-      .select('followers');
+    const user = await User.findByUsername(username)
+      .populate('followers', 'username profilePicture profilePictureThumb')
+      .select('followers isPrivate');
 
     if (!user) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
 
-    const followers = user.followers.map(follower => ({
-      id: follower._id,
-      username: follower.username,
-      profilePicture: follower.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${follower.profilePicture}` : null
-    }));
+    if (!canViewAccount(req.user, user)) {
+      return res.status(403).json({ message: 'Esta cuenta es privada' });
+    }
+
+    const followers = user.followers.map(follower => serializeProfile(req, follower, req.user));
 
     res.json(followers);
   } catch (error) {
@@ -124,24 +174,23 @@ router.get('/followers/:username', auth, async (req, res) => {
   }
 });
 
-// Obtener usuarios seguidos
+// Obtener usuarios seguidos (en cuentas privadas, solo sus seguidores)
 router.get('/following/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
-    const user = await User.findOne({ username })
-      .populate('following', 'username profilePicture')
-      .select('following');
+    const user = await User.findByUsername(username)
+      .populate('following', 'username profilePicture profilePictureThumb')
+      .select('following isPrivate');
 
     if (!user) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
 
-    const following = user.following.map(followed => ({
-      id: followed._id,
-      username: followed.username,
-      profilePicture: followed.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${followed.profilePicture}` : null
-    }));
+    if (!canViewAccount(req.user, user)) {
+      return res.status(403).json({ message: 'Esta cuenta es privada' });
+    }
+
+    const following = user.following.map(followed => serializeProfile(req, followed, req.user));
 
     res.json(following);
   } catch (error) {
@@ -150,4 +199,240 @@ router.get('/following/:username', auth, async (req, res) => {
   }
 });
 
+// Bloquear a un usuario. Se eliminan las relaciones de seguimiento y las
+// solicitudes pendientes entre ambos
+router.post('/block/:username', auth, async (req, res) => {
+  try {
+    const userToBlock = await User.findByUsername(req.params.username).select('_id');
+    if (!userToBlock) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    if (userToBlock._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'No puedes bloquearte a ti mismo' });
+    }
+
+    if (req.user.blocked.some(id => id.equals(userToBlock._id))) {
+      return res.status(400).json({ message: 'Ya has bloqueado a este usuario' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { blocked: userToBlock._id },
+      $pull: { following: userToBlock._id, followers: userToBlock._id }
+    });
+
+    await User.findByIdAndUpdate(userToBlock._id, {
+      $pull: { following: req.user._id, followers: req.user._id }
+    });
+
+    await FollowRequest.deleteMany({
+      $or: [
+        { requester: req.user._id, target: userToBlock._id },
+        { requester: userToBlock._id, target: req.user._id }
+      ]
+    });
+
+    res.json({
+      message: 'Usuario bloqueado',
+      isBlocked: true,
+      isFollowing: false
+    });
+  } catch (error) {
+    console.error('Error bloqueando usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Desbloquear a un usuario (no restaura el seguimiento)
+router.delete('/block/:username', auth, async (req, res) => {
+  try {
+    const userToUnblock = await User.findByUsername(req.params.username).select('_id');
+    if (!userToUnblock) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { blocked: userToUnblock._id }
+    });
+
+    res.json({
+      message: 'Usuario desbloqueado',
+      isBlocked: false
+    });
+  } catch (error) {
+    console.error('Error desbloqueando usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Silenciar a un usuario: sus posts dejan de aparecer en los feeds propios
+router.post('/mute/:username', auth, async (req, res) => {
+  try {
+    const userToMute = await User.findByUsername(req.params.username).select('_id');
+    if (!userToMute) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    if (userToMute._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'No puedes silenciarte a ti mismo' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { muted: userToMute._id }
+    });
+
+    res.json({
+      message: 'Usuario silenciado',
+      isMuted: true
+    });
+  } catch (error) {
+    console.error('Error silenciando usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Dejar de silenciar a un usuario
+router.delete('/mute/:username', auth, async (req, res) => {
+  try {
+    const userToUnmute = await User.findByUsername(req.params.username).select('_id');
+    if (!userToUnmute) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { muted: userToUnmute._id }
+    });
+
+    res.json({
+      message: 'Usuario ya no silenciado',
+      isMuted: false
+    });
+  } catch (error) {
+    console.error('Error quitando silencio a usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener la lista de usuarios bloqueados o silenciados (`field`)
+const listUsers = (field, errorMessage) => async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate(field, 'username profilePicture profilePictureThumb')
+      .select(field);
+
+    res.json(user[field].map(listedUser => serializeProfile(req, listedUser, req.user)));
+  } catch (error) {
+    console.error(errorMessage, error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+};
+
+// Obtener los usuarios bloqueados
+router.get('/blocked', auth, listUsers('blocked', 'Error obteniendo bloqueados:'));
+
+// Obtener los usuarios silenciados
+router.get('/muted', auth, listUsers('muted', 'Error obteniendo silenciados:'));
+
+// Listar solicitudes de seguimiento, de la más reciente a la más antigua.
+// `direction` es incoming (recibidas) u outgoing (enviadas). Paginado por
+// cursor (?before=<solicitudId>&limit=)
+const listFollowRequests = (direction) => async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+    const pageSize = getPageSize(limit);
+
+    const ownField = direction === 'incoming' ? 'target' : 'requester';
+    const otherField = direction === 'incoming' ? 'requester' : 'target';
+    const filter = { [ownField]: req.user._id };
+
+    const cursorFilter = idCursorFilter(before);
+    if (!cursorFilter) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    const requests = await FollowRequest.find({ ...filter, ...cursorFilter })
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .populate(otherField, 'username profilePicture profilePictureThumb');
+
+    const hasMore = requests.length > pageSize;
+    const pageRequests = requests.slice(0, pageSize);
+
+    res.json({
+      requests: pageRequests
+        .filter(request => request[otherField])
+        .map(request => ({
+          id: request._id,
+          user: serializeProfile(req, request[otherField], req.user),
+          createdAt: request.createdAt
+        })),
+      nextCursor: hasMore ? pageRequests[pageRequests.length - 1]._id.toString() : null
+    });
+  } catch (error) {
+    console.error('Error obteniendo solicitudes de seguimiento:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+};
+
+// Obtener las solicitudes de seguimiento recibidas
+router.get('/requests/incoming', auth, listFollowRequests('incoming'));
+
+// Obtener las solicitudes de seguimiento enviadas
+router.get('/requests/outgoing', auth, listFollowRequests('outgoing'));
+
+// Aceptar una solicitud de seguimiento recibida
+router.post('/requests/:id/accept', auth, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.id, target: req.user._id });
+    if (!request) {
+      return res.status(404).json({ message: 'Solicitud no encontrada' });
+    }
+
+    await addFollow(request.requester, req.user._id);
+
+    // Avisar en tiempo real a quien envió la solicitud
+    if (req.app.get('socketio')) {
+      req.app.get('socketio').to(`user_${request.requester}`).emit('follow_request_accepted', {
+        id: request._id,
+        username: req.user.username
+      });
+    }
+
+    res.json({ message: 'Solicitud aceptada' });
+  } catch (error) {
+    console.error('Error aceptando solicitud de seguimiento:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Rechazar una solicitud de seguimiento recibida
+router.post('/requests/:id/reject', auth, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.id, target: req.user._id });
+    if (!request) {
+      return res.status(404).json({ message: 'Solicitud no encontrada' });
+    }
+
+    res.json({ message: 'Solicitud rechazada' });
+  } catch (error) {
+    console.error('Error rechazando solicitud de seguimiento:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Cancelar una solicitud de seguimiento enviada
+router.delete('/requests/:id', auth, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.id, requester: req.user._id });
+    if (!request) {
+      return res.status(404).json({ message: 'Solicitud no encontrada' });
+    }
+
+    res.json({ message: 'Solicitud cancelada' });
+  } catch (error) {
+    console.error('Error cancelando solicitud de seguimiento:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
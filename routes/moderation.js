@@ -0,0 +1,554 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const FilterTerm = require('../models/FilterTerm');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { invalidateFilterTerms, normalizeText } = require('../utils/contentFilter');
+const { getPageSize, idCursorFilter } = require('../utils/posts');
+const { avatarUrl } = require('../utils/uploads');
+const { emitToPostAudience } = require('../utils/visibility');
+
+const router = express.Router();
+
+const DEFAULT_SUSPENSION_DAYS = 7;
+const PENDING_STATUSES = ['open', 'reviewing'];
+
+// Todas las rutas de moderación requieren ser moderador o administrador
+router.use(auth, requireRole('moderator', 'admin'));
+
+// Cargar las relaciones necesarias para mostrar una denuncia
+const withReportDetails = (query) => query
+  .populate('reporter', 'username')
+  .populate('reportedUser', 'username profilePicture profilePictureThumb role suspendedUntil')
+  .populate('post', 'text image isHidden')
+  .populate('message', 'content image isDeleted')
+  .populate('comment', 'post text isDeleted')
+  .populate('assignedTo', 'username')
+  .populate('resolution.resolvedBy', 'username');
+
+// Formatear una denuncia para la cola de moderación. El contenido denunciado
+// es null si ya se ha eliminado
+const formatReport = (report, req) => ({
+  id: report._id,
+  targetType: report.targetType,
+  reason: report.reason,
+  details: report.details,
+  status: report.status,
+  createdAt: report.createdAt,
+  reporter: report.reporter ? report.reporter.username : null,
+  isAutomatic: !report.reporter,
+  reportedUser: report.reportedUser ? {
+    id: report.reportedUser._id,
+    username: report.reportedUser.username,
+    profilePicture: avatarUrl(req, report.reportedUser),
+    role: report.reportedUser.role,
+    suspendedUntil: report.reportedUser.suspendedUntil
+  } : null,
+  post: report.post ? {
+    id: report.post._id,
+    text: report.post.text,
+    image: report.post.image,
+    isHidden: report.post.isHidden
+  } : null,
+  message: report.message ? {
+    id: report.message._id,
+    content: report.message.content,
+    image: report.message.image,
+    isDeleted: report.message.isDeleted
+  } : null,
+  comment: report.comment ? {
+    id: report.comment._id,
+    postId: report.comment.post,
+    text: report.comment.text,
+    isDeleted: report.comment.isDeleted
+  } : null,
+  assignedTo: report.assignedTo ? report.assignedTo.username : null,
+  resolution: report.resolution.resolvedAt ? {
+    action: report.resolution.action,
+    note: report.resolution.note,
+    resolvedBy: report.resolution.resolvedBy ? report.resolution.resolvedBy.username : null,
+    resolvedAt: report.resolution.resolvedAt
+  } : null
+});
+
+// Filtro de las denuncias sobre el mismo contenido que `report`
+const sameTargetFilter = (report) => ({
+  targetType: report.targetType,
+  post: report.post,
+  message: report.message,
+  comment: report.comment,
+  reportedUser: report.reportedUser
+});
+
+// Un moderador solo puede actuar sobre usuarios normales; los administradores
+// también sobre moderadores. Nadie puede actuar sobre un administrador
+const canModerateUser = (moderator, user) => {
+  if (user.role === 'admin') return false;
+  if (user.role === 'moderator') return moderator.role === 'admin';
+  return true;
+};
+
+// Ocultar un post a todos los usuarios. Devuelve false si ya no existe
+const hidePost = async (postId, req) => {
+  const post = await Post.findByIdAndUpdate(postId, { isHidden: true });
+  if (!post) return false;
+
+  // Los clientes lo quitan de los feeds igual que un post eliminado
+  await emitToPostAudience(req.app.get('socketio'), post, 'post_deleted', { postId: post._id });
+  return true;
+};
+
+// Eliminar un mensaje de chat. Devuelve false si ya no existe
+const deleteMessage = async (messageId, req) => {
+  const message = await Message.findByIdAndUpdate(messageId, {
+    isDeleted: true,
+    deletedAt: new Date()
+  });
+  if (!message) return false;
+
+  if (req.app.get('socketio')) {
+    req.app.get('socketio').to(`conversation_${message.conversation}`).emit('message_deleted', {
+      messageId: message._id
+    });
+  }
+  return true;
+};
+
+// Suspender una cuenta y cerrar sus conexiones en tiempo real
+const suspendUser = async (user, days, reason, req) => {
+  await User.findByIdAndUpdate(user._id, {
+    suspendedUntil: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    suspensionReason: reason || null
+  });
+
+  if (req.app.get('socketio')) {
+    req.app.get('socketio').in(`user_${user._id}`).disconnectSockets(true);
+  }
+};
+
+// Obtener la cola de denuncias, de la más reciente a la más antigua.
+// ?status= (por defecto las pendientes), ?targetType= y paginado por cursor
+// (?before=<reportId>&limit=)
+router.get('/reports', async (req, res) => {
+  try {
+    const { status, targetType, before, limit } = req.query;
+    const pageSize = getPageSize(limit);
+
+    if (status && !Report.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ message: 'Estado de denuncia no válido' });
+    }
+
+    const filter = {
+      status: status || { $in: PENDING_STATUSES }
+    };
+
+    if (targetType) {
+      if (!Report.schema.path('targetType').enumValues.includes(targetType)) {
+        return res.status(400).json({ message: 'Tipo de contenido no válido' });
+      }
+      filter.targetType = targetType;
+    }
+
+    const cursorFilter = idCursorFilter(before);
+    if (!cursorFilter) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    const reports = await withReportDetails(Report.find({ ...filter, ...cursorFilter }))
+      .sort({ _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = reports.length > pageSize;
+    const pageReports = reports.slice(0, pageSize);
+
+    res.json({
+      reports: pageReports.map(report => formatReport(report, req)),
+      nextCursor: hasMore ? pageReports[pageReports.length - 1]._id.toString() : null
+    });
+  } catch (error) {
+    console.error('Error obteniendo denuncias:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener una denuncia con el número de denuncias pendientes sobre el mismo contenido
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Denuncia no encontrada' });
+    }
+
+    // Se cuenta con los ids sin popular: el contenido puede haberse eliminado
+    const [pendingReportsCount, detailedReport] = await Promise.all([
+      Report.countDocuments({ ...sameTargetFilter(report), status: { $in: PENDING_STATUSES } }),
+      withReportDetails(Report.findById(report._id))
+    ]);
+
+    res.json({
+      ...formatReport(detailedReport, req),
+      pendingReportsCount
+    });
+  } catch (error) {
+    console.error('Error obteniendo denuncia:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Clasificar una denuncia: tomarla para revisión, devolverla a la cola o
+// descartarla sin tomar medidas
+router.put('/reports/:id/status', [
+  body('status').isIn(['open', 'reviewing', 'dismissed']).withMessage('Estado de denuncia no válido'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('La nota no puede exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note = '' } = req.body;
+
+    const update = { status, assignedTo: null };
+    if (status === 'reviewing') {
+      update.assignedTo = req.user._id;
+    } else if (status === 'dismissed') {
+      update.resolution = {
+        action: 'none',
+        note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+    }
+
+    // Solo se pueden clasificar denuncias que sigan pendientes
+    const report = await withReportDetails(Report.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: PENDING_STATUSES } },
+      update,
+      { new: true }
+    ));
+
+    if (!report) {
+      return res.status(404).json({ message: 'Denuncia no encontrada o ya cerrada' });
+    }
+
+    res.json({
+      message: 'Denuncia actualizada exitosamente',
+      report: formatReport(report, req)
+    });
+  } catch (error) {
+    console.error('Error actualizando denuncia:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Resolver una denuncia aplicando una acción: none, hide_post,
+// delete_message o suspend_user (con `suspendDays`). Las demás denuncias
+// pendientes sobre el mismo contenido se resuelven a la vez
+router.post('/reports/:id/resolve', [
+  body('action').isIn(Report.schema.path('resolution.action').enumValues).withMessage('Acción no válida'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('La nota no puede exceder 500 caracteres'),
+  body('suspendDays').optional().isInt({ min: 1, max: 365 }).withMessage('La suspensión debe durar entre 1 y 365 días')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const { action, note = '' } = req.body;
+    const suspendDays = parseInt(req.body.suspendDays) || DEFAULT_SUSPENSION_DAYS;
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Denuncia no encontrada' });
+    }
+
+    if (!PENDING_STATUSES.includes(report.status)) {
+      return res.status(400).json({ message: 'La denuncia ya está cerrada' });
+    }
+
+    if ((action === 'hide_post' && report.targetType !== 'post') ||
+        (action === 'delete_message' && report.targetType !== 'message')) {
+      return res.status(400).json({ message: 'La acción no corresponde al contenido denunciado' });
+    }
+
+    // Cualquier acción sobre el contenido o la cuenta requiere poder moderar
+    // al usuario denunciado
+    let reportedUser = null;
+    if (action !== 'none') {
+      reportedUser = await User.findById(report.reportedUser).select('role');
+      if (!reportedUser) {
+        return res.status(404).json({ message: 'Usuario no encontrado' });
+      }
+      if (!canModerateUser(req.user, reportedUser)) {
+        return res.status(403).json({ message: 'No puedes moderar el contenido de este usuario' });
+      }
+    }
+
+    if (action === 'hide_post' && !await hidePost(report.post, req)) {
+      return res.status(404).json({ message: 'El post ya no existe' });
+    }
+
+    if (action === 'delete_message' && !await deleteMessage(report.message, req)) {
+      return res.status(404).json({ message: 'El mensaje ya no existe' });
+    }
+
+    if (action === 'suspend_user') {
+      await suspendUser(reportedUser, suspendDays, note, req);
+    }
+
+    const result = await Report.updateMany(
+      { ...sameTargetFilter(report), status: { $in: PENDING_STATUSES } },
+      {
+        status: 'resolved',
+        resolution: {
+          action,
+          note,
+          resolvedBy: req.user._id,
+          resolvedAt: new Date()
+        }
+      }
+    );
+
+    const resolvedReport = await withReportDetails(Report.findById(report._id));
+
+    res.json({
+      message: 'Denuncia resuelta exitosamente',
+      report: formatReport(resolvedReport, req),
+      resolvedReportsCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error resolviendo denuncia:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Volver a mostrar un post ocultado por moderación
+router.delete('/posts/:id/hide', async (req, res) => {
+  try {
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, isHidden: true },
+      { isHidden: false }
+    );
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado o no está oculto' });
+    }
+
+    res.json({ message: 'El post vuelve a ser visible' });
+  } catch (error) {
+    console.error('Error mostrando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Levantar la suspensión de una cuenta
+router.delete('/users/:id/suspension', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    if (!canModerateUser(req.user, user)) {
+      return res.status(403).json({ message: 'No puedes modificar a este usuario' });
+    }
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({ message: 'La cuenta no está suspendida' });
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      suspendedUntil: null,
+      suspensionReason: null
+    });
+
+    res.json({ message: 'Suspensión levantada exitosamente' });
+  } catch (error) {
+    console.error('Error levantando suspensión:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Cambiar el rol de un usuario (solo administradores)
+router.put('/users/:id/role', requireRole('admin'), [
+  body('role').isIn(User.schema.path('role').enumValues).withMessage('Rol no válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Rol no válido',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'No puedes cambiar tu propio rol' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true }
+    ).select('username role');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      user: {
+        id: user._id,
+        username: user.username,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Error cambiando rol:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Formatear un término del filtro de contenido
+const formatFilterTerm = (filterTerm) => ({
+  id: filterTerm._id,
+  term: filterTerm.term,
+  action: filterTerm.action,
+  wholeWord: filterTerm.wholeWord,
+  createdAt: filterTerm.createdAt
+});
+
+const filterTermRules = [
+  body('term')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El término es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El término no puede exceder 100 caracteres'),
+  body('action').optional().isIn(['block', 'mask', 'flag']).withMessage('Acción no válida'),
+  body('wholeWord').optional().isBoolean().withMessage('wholeWord debe ser verdadero o falso')
+];
+
+// Obtener los términos del filtro de contenido (solo administradores)
+router.get('/filter-terms', requireRole('admin'), async (req, res) => {
+  try {
+    const filterTerms = await FilterTerm.find().sort({ normalizedTerm: 1 });
+    res.json(filterTerms.map(formatFilterTerm));
+  } catch (error) {
+    console.error('Error obteniendo términos del filtro:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Añadir un término al filtro de contenido (solo administradores)
+router.post('/filter-terms', requireRole('admin'), filterTermRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Término no válido',
+        errors: errors.array()
+      });
+    }
+
+    const { term, action = 'mask', wholeWord = true } = req.body;
+    const normalizedTerm = normalizeText(term).replace(/\s+/g, ' ');
+
+    const existingTerm = await FilterTerm.exists({ normalizedTerm });
+    if (existingTerm) {
+      return res.status(400).json({ message: 'Ese término ya está en el filtro' });
+    }
+
+    const filterTerm = new FilterTerm({
+      term,
+      normalizedTerm,
+      action,
+      wholeWord: wholeWord === true || wholeWord === 'true',
+      createdBy: req.user._id
+    });
+    await filterTerm.save();
+    invalidateFilterTerms();
+
+    res.status(201).json({
+      message: 'Término añadido al filtro',
+      filterTerm: formatFilterTerm(filterTerm)
+    });
+  } catch (error) {
+    console.error('Error añadiendo término al filtro:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Cambiar la acción de un término del filtro (solo administradores)
+router.put('/filter-terms/:id', requireRole('admin'), [
+  body('action').optional().isIn(['block', 'mask', 'flag']).withMessage('Acción no válida'),
+  body('wholeWord').optional().isBoolean().withMessage('wholeWord debe ser verdadero o falso')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const { action, wholeWord } = req.body;
+    const updateData = {};
+    if (action !== undefined) updateData.action = action;
+    if (wholeWord !== undefined) updateData.wholeWord = wholeWord === true || wholeWord === 'true';
+
+    const filterTerm = await FilterTerm.findByIdAndUpdate(req.params.id, updateData, { new: true });
+
+    if (!filterTerm) {
+      return res.status(404).json({ message: 'Término no encontrado' });
+    }
+
+    invalidateFilterTerms();
+
+    res.json({
+      message: 'Término actualizado exitosamente',
+      filterTerm: formatFilterTerm(filterTerm)
+    });
+  } catch (error) {
+    console.error('Error actualizando término del filtro:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Quitar un término del filtro (solo administradores)
+router.delete('/filter-terms/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const filterTerm = await FilterTerm.findByIdAndDelete(req.params.id);
+
+    if (!filterTerm) {
+      return res.status(404).json({ message: 'Término no encontrado' });
+    }
+
+    invalidateFilterTerms();
+
+    res.json({ message: 'Término eliminado del filtro' });
+  } catch (error) {
+    console.error('Error eliminando término del filtro:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+module.exports = router;
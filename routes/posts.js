@@ -1,359 +1,1512 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const Like = require('../models/Like');
+const PollVote = require('../models/PollVote');
+const PostInsight = require('../models/PostInsight');
 const auth = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { buildPostEntities, findPost, findPostsByIds, findPostsPage, findReadablePost, findRecentLikers, formatImage, formatPoll, formatPosts, galleryOf, getPageSize, idCursorFilter, PUBLISHED_FILTER } = require('../utils/posts');
+const { DEFAULT_REACTION, REACTIONS, REACTION_TYPES, reactionCountsOf } = require('../utils/reactions');
+const { filterContent, flagContent } = require('../utils/contentFilter');
+const { HOUR, hourOf, recordImpressions, recordLike } = require('../utils/insights');
+const { sanitizeHTML } = require('../utils/sanitize');
+const { TRENDING_WINDOWS, getTrendingPostIds } = require('../utils/trending');
+const { avatarUrl, removeUploads } = require('../utils/uploads');
+const { POST_VISIBILITIES, emitToPostAudience, mutedFilter, visibilityFilter } = require('../utils/visibility');
 
 const router = express.Router();
 
-// Configuración de multer para subida de imágenes
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Máximo de imágenes por post. Se acepta `images` (galería) y también
+// `image` para los clientes que solo suben una
+const MAX_POST_IMAGES = 4;
+
+// Límites de las encuestas
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+const MAX_POLL_OPTION_LENGTH = 80;
+
+// Máximo de posts fijados en un perfil
+const MAX_PINNED_POSTS = 3;
+
+// Horas de estadísticas que se pueden pedir de un post (30 días)
+const MAX_INSIGHTS_HOURS = 30 * 24;
+
+// Máximo de likes recientes de las cuentas seguidas que se consideran al
+// incluir en el feed los posts que les han gustado
+const FOLLOWING_LIKES_LIMIT = 500;
+const uploadPostImages = uploadImages('post', [
+  { name: 'images', maxCount: MAX_POST_IMAGES },
+  { name: 'image', maxCount: 1 }
+]);
+
+// Construir la galería a partir de los archivos subidos y sus textos
+// alternativos (`alt`, en el mismo orden que las imágenes)
+const buildGallery = (req) => {
+  const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+  const altTexts = [].concat(req.body.alt ?? []);
+
+  return files.map((file, index) => ({
+    path: `/uploads/${file.filename}`,
+    feedPath: `/uploads/${file.variants.feed}`,
+    alt: (altTexts[index] || '').trim().slice(0, 500)
+  }));
+};
+
+// Archivos en disco de una galería (imagen original y versión para el feed)
+const galleryFiles = (images) => images.flatMap(image => [image.path, image.feedPath]);
+
+// Interpretar el estado de publicación pedido. Con `publishAt` y sin `status`
+// el post se programa. Devuelve { status, publishAt } o { error }
+const parsePublication = ({ status, publishAt }) => {
+  const requestedStatus = status || (publishAt ? 'scheduled' : 'published');
+
+  if (!['draft', 'scheduled', 'published'].includes(requestedStatus)) {
+    return { error: 'Estado de publicación no válido' };
+  }
+
+  if (requestedStatus !== 'scheduled') {
+    return { status: requestedStatus, publishAt: null };
   }
-});
 
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Solo se permiten archivos de imagen'), false);
+  const publishDate = new Date(publishAt);
+  if (!publishAt || isNaN(publishDate.getTime()) || publishDate <= new Date()) {
+    return { error: 'La fecha de publicación debe ser una fecha futura' };
   }
+
+  return { status: 'scheduled', publishAt: publishDate };
 };
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB límite
+// Interpretar la encuesta enviada al crear un post (`pollOptions`,
+// `pollClosesAt` y `pollMultiple`). La encuesta debe cerrarse después de que
+// el post se publique. Devuelve { poll } (null si no hay encuesta) o { error }
+const parsePoll = ({ pollOptions, pollClosesAt, pollMultiple }, publishAt) => {
+  const options = [].concat(pollOptions ?? [])
+    .map(option => String(option).trim())
+    .filter(Boolean);
+
+  if (options.length === 0 && !pollClosesAt) {
+    return { poll: null };
   }
-});
 
-// Función para sanitizar HTML en el servidor
-const sanitizeHTML = (html) => {
-  // Lista de tags permitidos
-  const allowedTags = [
-    'h1', 'h2', 'h3', 'p', 'br', 'strong', 'b', 'em', 'i', 
-    'ul', 'ol', 'li', 'blockquote', 'code', 'pre', 'hr'
-  ];
-  
-  // Función básica de sanitización usando regex
-  let sanitized = html;
-  
-  // Remover tags script y style completamente
-  sanitized = sanitized.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-  sanitized = sanitized.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
-  
-  // Remover atributos peligrosos
-  sanitized = sanitized.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, '');
-  sanitized = sanitized.replace(/\s*javascript\s*:/gi, '');
-  
-  return sanitized;
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return { error: `La encuesta debe tener entre ${MIN_POLL_OPTIONS} y ${MAX_POLL_OPTIONS} opciones` };
+  }
+
+  if (options.some(option => option.length > MAX_POLL_OPTION_LENGTH)) {
+    return { error: `Las opciones no pueden exceder ${MAX_POLL_OPTION_LENGTH} caracteres` };
+  }
+
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    return { error: 'Las opciones de la encuesta no pueden repetirse' };
+  }
+
+  const closesAt = new Date(pollClosesAt);
+  if (!pollClosesAt || isNaN(closesAt.getTime()) || closesAt <= (publishAt || new Date())) {
+    return { error: 'La encuesta debe cerrarse después de publicarse el post' };
+  }
+
+  return {
+    poll: {
+      options: options.map(text => ({ text })),
+      multiple: pollMultiple === true || pollMultiple === 'true',
+      closesAt
+    }
+  };
+};
+
+// Formatear un comentario para la respuesta
+const formatComment = (comment, post, req) => {
+  const isCommentAuthor = comment.author && comment.author._id.toString() === req.user.id;
+  const isPostAuthor = post.author.toString() === req.user.id;
+
+  return {
+    id: comment._id,
+    text: comment.isDeleted ? null : comment.text,
+    author: comment.isDeleted || !comment.author ? null : comment.author.username,
+    authorProfilePicture: !comment.isDeleted && comment.author ? avatarUrl(req, comment.author) : null,
+    parentId: comment.parent,
+    createdAt: comment.createdAt,
+    isDeleted: comment.isDeleted,
+    canDelete: !comment.isDeleted && (isCommentAuthor || isPostAuthor),
+    replies: []
+  };
 };
 
-// Obtener todos los posts (feed global) - CORREGIDO
+// Obtener el feed paginado por cursor (?before=<postId|fecha>&limit=)
+// ?feed=global (por defecto) muestra todos los posts; ?feed=following solo los
+// propios y los de las cuentas seguidas, y con ?includeLiked=true también los
+// posts a los que esas cuentas han dado like
 router.get('/', auth, async (req, res) => {
   try {
-    const posts = await Post.find()
-      .populate('author', 'username profilePicture')
-      .populate('likes.user', 'username')
-      .sort({ createdAt: -1 });
-
-    const postsWithUserInfo = posts.map(post => ({
-      id: post._id,
-      text: post.text,
-      image: post.image, // CORREGIDO: devolver solo la ruta relativa
-      author: post.author.username,
-      authorProfilePicture: post.author.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${post.author.profilePicture}` : null,
-      createdAt: post.createdAt,
-      isRichText: post.isRichText,
-      likesCount: post.likes.length,
-      hasLiked: post.likes.some(like => like.user._id.toString() === req.user.id),
-      recentLikes: post.likes.slice(-3).map(like => like.user.username)
-    }));
+    const { feed = 'global', includeLiked } = req.query;
+
+    if (!['global', 'following'].includes(feed)) {
+      return res.status(400).json({ message: 'Tipo de feed no válido' });
+    }
+
+    let filter = {};
+    if (feed === 'following') {
+      filter = { author: { $in: [...req.user.following, req.user._id] } };
 
-    res.json(postsWithUserInfo);
+      if (includeLiked === 'true' && req.user.following.length > 0) {
+        const followingLikes = await Like.find({ user: { $in: req.user.following } })
+          .sort({ createdAt: -1 })
+          .limit(FOLLOWING_LIKES_LIMIT)
+          .select('post');
+
+        filter = {
+          $or: [
+            filter,
+            { _id: { $in: followingLikes.map(like => like.post) } }
+          ]
+        };
+      }
+    }
+
+    // Los posts de los usuarios silenciados no aparecen en los feeds
+    const page = await findPostsPage({ $and: [filter, mutedFilter(req.user)] }, req.query, req.user);
+    if (!page) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+    recordImpressions(page.posts, req.user);
+
+    res.json({
+      feed,
+      posts: await formatPosts(page.posts, req),
+      nextCursor: page.nextCursor
+    });
   } catch (error) {
     console.error('Error fetching posts:', error);
     res.status(500).json({ message: 'Error del servidor' });
   }
 });
 
-// Crear nuevo post
-router.post('/', auth, upload.single('image'), async (req, res) => {
+// Obtener los posts con un hashtag, paginados por cursor
+router.get('/tag/:tag', auth, async (req, res) => {
+  try {
+    const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+
+    const page = await findPostsPage({ hashtags: tag, ...mutedFilter(req.user) }, req.query, req.user);
+    if (!page) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+    recordImpressions(page.posts, req.user);
+
+    res.json({
+      tag,
+      posts: await formatPosts(page.posts, req),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error obteniendo posts por hashtag:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener los posts que mencionan a un usuario, paginados por cursor
+router.get('/mentions/:username', auth, async (req, res) => {
+  try {
+    const user = await User.findByUsername(req.params.username).select('username');
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    const page = await findPostsPage({ 'mentions.user': user._id, ...mutedFilter(req.user) }, req.query, req.user);
+    if (!page) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+    recordImpressions(page.posts, req.user);
+
+    res.json({
+      username: user.username,
+      posts: await formatPosts(page.posts, req),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error obteniendo menciones:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener los posts en tendencia: los publicados recientemente que más
+// reacciones están recibiendo. ?window=24h (por defecto) o 7d, paginados con
+// ?page=&limit=
+router.get('/trending', auth, async (req, res) => {
+  try {
+    const { window: windowName = '24h' } = req.query;
+
+    if (!TRENDING_WINDOWS[windowName]) {
+      return res.status(400).json({ message: 'Ventana de tendencias no válida' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = getPageSize(req.query.limit);
+
+    // Quitar del ranking los posts que el usuario no puede ver o cuyo autor
+    // ha silenciado antes de paginar, para no devolver páginas incompletas
+    const trending = await getTrendingPostIds(windowName);
+    const visibleIds = await Post.distinct('_id', {
+      $and: [
+        { _id: { $in: trending.postIds } },
+        PUBLISHED_FILTER,
+        await visibilityFilter(req.user),
+        mutedFilter(req.user)
+      ]
+    });
+    const visibleIdSet = new Set(visibleIds.map(id => id.toString()));
+    const postIds = trending.postIds.filter(id => visibleIdSet.has(id.toString()));
+
+    const pageIds = postIds.slice((page - 1) * limit, page * limit);
+    const posts = await findPostsByIds(pageIds, req.user);
+    recordImpressions(posts, req.user);
+
+    res.json({
+      window: windowName,
+      posts: await formatPosts(posts, req),
+      currentPage: page,
+      hasMore: postIds.length > page * limit,
+      updatedAt: trending.updatedAt
+    });
+  } catch (error) {
+    console.error('Error obteniendo tendencias:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Obtener los borradores y posts programados del usuario actual, paginados
+// por cursor. ?status=draft|scheduled filtra por tipo
+router.get('/drafts', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['draft', 'scheduled'].includes(status)) {
+      return res.status(400).json({ message: 'Estado de publicación no válido' });
+    }
+
+    const page = await findPostsPage({
+      author: req.user._id,
+      status: status || { $in: ['draft', 'scheduled'] }
+    }, req.query, req.user);
+    if (!page) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    res.json({
+      posts: await formatPosts(page.posts, req),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error obteniendo borradores:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Crear nuevo post. Con status=draft se guarda como borrador y con
+// status=scheduled y `publishAt` se publicará automáticamente en esa fecha.
+// `visibility` (public, followers o mutuals) limita quién puede verlo y
+// `pollOptions` + `pollClosesAt` (+ `pollMultiple`) adjuntan una encuesta
+router.post('/', auth, uploadPostImages, async (req, res) => {
+  // Las imágenes ya están en disco: si el post no llega a guardarse se borran
+  const images = buildGallery(req);
+  let postSaved = false;
+
   try {
-    const { text, isRichText } = req.body;
+    const { text, isRichText, visibility = 'public' } = req.body;
     
     if (!text || text.trim() === '') {
       return res.status(400).json({ message: 'El contenido es requerido' });
     }
 
+    const publication = parsePublication(req.body);
+    if (publication.error) {
+      return res.status(400).json({ message: publication.error });
+    }
+
+    if (!POST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: 'Visibilidad no válida' });
+    }
+
+    const { poll, error: pollError } = parsePoll(req.body, publication.publishAt);
+    if (pollError) {
+      return res.status(400).json({ message: pollError });
+    }
+
+    if (images.length > MAX_POST_IMAGES) {
+      return res.status(400).json({ message: `Un post admite como máximo ${MAX_POST_IMAGES} imágenes` });
+    }
+
     const postData = {
-      text: text.trim(),
+      text: isRichText === 'true' ? sanitizeHTML(text) : text.trim(),
       author: req.user.id,
-      isRichText: isRichText === 'true'
+      authorIsPrivate: req.user.isPrivate,
+      isRichText: isRichText === 'true',
+      visibility,
+      poll,
+      status: publication.status,
+      publishAt: publication.publishAt
     };
 
-    if (req.file) {
-      postData.image = `/uploads/${req.file.filename}`;
+    if (postData.text === '') {
+      return res.status(400).json({ message: 'El contenido es requerido' });
+    }
+
+    const filteredContent = await filterContent(postData.text, { isRichText: postData.isRichText });
+    if (filteredContent.blockedTerms.length > 0) {
+      return res.status(400).json({
+        message: 'El contenido incluye términos no permitidos',
+        terms: filteredContent.blockedTerms
+      });
+    }
+    postData.text = filteredContent.text;
+
+    if (images.length > 0) {
+      postData.images = images;
     }
 
+    Object.assign(postData, await buildPostEntities(postData.text, postData.isRichText));
+
     const post = new Post(postData);
     await post.save();
+    postSaved = true;
 
-    // Hacer populate para obtener la información del usuario
-    await post.populate('author', 'username profilePicture');
-
-    const postResponse = {
-      id: post._id,
-      text: post.text,
-      image: post.image, // CORREGIDO: devolver solo la ruta relativa
-      author: post.author.username,
-      authorProfilePicture: post.author.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${post.author.profilePicture}` : null,
-      createdAt: post.createdAt,
-      isRichText: post.isRichText,
-      likesCount: 0,
-      hasLiked: false,
-      recentLikes: []
-    };
+    if (filteredContent.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'post', post: post._id, reportedUser: post.author }, filteredContent.flaggedTerms);
+    }
 
-    // Emitir el nuevo post via Socket.IO
-    const io = req.app.get('socketio');
-    io.emit('new_post', postResponse);
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
+
+    // Emitir el nuevo post via Socket.IO a su audiencia (los borradores y
+    // programados se emiten al publicarse)
+    if (post.isPublished()) {
+      await emitToPostAudience(req.app.get('socketio'), post, 'new_post', postResponse);
+    }
 
     res.status(201).json({ post: postResponse });
   } catch (error) {
     console.error('Error creating post:', error);
     res.status(500).json({ message: 'Error del servidor' });
+  } finally {
+    if (!postSaved) {
+      await removeUploads(galleryFiles(images));
+    }
   }
 });
 
-// DAR LIKE A UN POST - CORREGIDO
-router.post('/:id/like', auth, async (req, res) => {
+// Editar post (solo el autor). La versión anterior se guarda como revisión
+// Si se suben imágenes sustituyen a la galería actual; con removeImage=true se
+// quita la galería y con solo `alt` se actualizan los textos alternativos.
+// Cambiar `visibility` no genera revisión
+router.put('/:id', auth, uploadPostImages, async (req, res) => {
+  // Las imágenes subidas solo se conservan si pasan a formar parte del post
+  const uploadedImages = buildGallery(req);
+  let imagesSaved = false;
+
   try {
-    const postId = req.params.id;
-    const userId = req.user._id;
+    const { text, isRichText, removeImage, visibility } = req.body;
+
+    if (!text || text.trim() === '') {
+      return res.status(400).json({ message: 'El contenido es requerido' });
+    }
+
+    if (visibility !== undefined && !POST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: 'Visibilidad no válida' });
+    }
+
+    if (uploadedImages.length > MAX_POST_IMAGES) {
+      return res.status(400).json({ message: `Un post admite como máximo ${MAX_POST_IMAGES} imágenes` });
+    }
 
-    const post = await Post.findById(postId);
+    const post = await Post.findById(req.params.id);
 
     if (!post) {
       return res.status(404).json({ message: 'Post no encontrado' });
     }
 
-    // CORREGIDO: Verificación más estricta de likes existentes
-    const hasAlreadyLiked = post.hasUserLiked(userId);
-    if (hasAlreadyLiked) {
-      return res.status(400).json({ message: 'Ya has dado like a este post' });
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'No tienes permiso para editar este post' });
     }
 
-    // Añadir like y guardar
-    const likeAdded = post.addLike(userId);
-    if (!likeAdded) {
-      return res.status(400).json({ message: 'No se pudo añadir el like' });
+    if (post.isPlainRepost()) {
+      return res.status(400).json({ message: 'Los reposts no se pueden editar' });
     }
 
-    await post.save();
+    const newIsRichText = isRichText === undefined ? post.isRichText : isRichText === 'true';
+    const sanitizedText = newIsRichText ? sanitizeHTML(text) : text.trim();
 
-    // Recargar el post con los datos actualizados
-    await post.populate([
-      { path: 'author', select: 'username' },
-      { path: 'likes.user', select: 'username' }
-    ]);
+    if (sanitizedText === '') {
+      return res.status(400).json({ message: 'El contenido es requerido' });
+    }
 
-    const likeData = {
-      postId: post._id,
-      likesCount: post.likesCount,
-      hasLiked: true,
-      recentLikes: post.likes
-        .slice(-3)
-        .map(like => like.user.username)
-        .reverse(),
-      likedBy: req.user.username
-    };
+    const filteredContent = await filterContent(sanitizedText, { isRichText: newIsRichText });
+    if (filteredContent.blockedTerms.length > 0) {
+      return res.status(400).json({
+        message: 'El contenido incluye términos no permitidos',
+        terms: filteredContent.blockedTerms
+      });
+    }
+    const newText = filteredContent.text;
 
-    // Emitir evento de socket para actualización en tiempo real
-    if (req.app.get('socketio')) {
-      req.app.get('socketio').emit('post_liked', likeData);
+    const currentImages = galleryOf(post);
+    let newImages = currentImages;
+    if (uploadedImages.length > 0) {
+      newImages = uploadedImages;
+    } else if (removeImage === 'true') {
+      newImages = [];
+    } else if (req.body.alt !== undefined) {
+      const altTexts = [].concat(req.body.alt);
+      newImages = currentImages.map((image, index) => ({
+        ...image,
+        alt: altTexts[index] !== undefined ? altTexts[index].trim().slice(0, 500) : image.alt
+      }));
+    }
+
+    const contentChanged = newText !== post.text ||
+      newIsRichText !== post.isRichText ||
+      JSON.stringify(newImages) !== JSON.stringify(currentImages);
+    const visibilityChanged = visibility !== undefined && visibility !== post.visibility;
+    const hasChanges = contentChanged || visibilityChanged;
+
+    if (visibilityChanged) {
+      post.visibility = visibility;
+    }
+
+    // Imágenes que dejan de usarse sin quedar guardadas en una revisión
+    let replacedFiles = [];
+
+    if (contentChanged) {
+      // Los cambios en borradores y posts programados no generan revisiones
+      if (post.isPublished()) {
+        post.revisions.push({
+          text: post.text,
+          isRichText: post.isRichText,
+          image: post.image,
+          images: post.images,
+          createdAt: post.editedAt || post.createdAt
+        });
+        post.editedAt = new Date();
+      } else {
+        const keptFiles = galleryFiles(newImages);
+        replacedFiles = galleryFiles(currentImages).filter(file => !keptFiles.includes(file));
+      }
+
+      post.text = newText;
+      post.isRichText = newIsRichText;
+      post.images = newImages;
+      post.image = newImages.length > 0 ? newImages[0].path : null;
+      Object.assign(post, await buildPostEntities(newText, newIsRichText));
+    }
+
+    if (hasChanges) {
+      await post.save();
+      imagesSaved = contentChanged;
+      await removeUploads(replacedFiles);
+    }
+
+    if (contentChanged && filteredContent.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'post', post: post._id, reportedUser: post.author }, filteredContent.flaggedTerms);
+    }
+
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
+
+    // Emitir evento de socket para que los feeds abiertos se actualicen
+    if (hasChanges && post.isPublished()) {
+      // Se quitan los campos que dependen de quién hace la petición. La
+      // encuesta no se puede editar y sus resultados dependen del usuario
+      const { hasLiked, viewerReaction, hasReposted, isBookmarked, poll, ...updatedPost } = postResponse;
+      await emitToPostAudience(req.app.get('socketio'), post, 'post_updated', updatedPost);
     }
 
     res.json({
-      message: 'Like añadido exitosamente',
-      ...likeData
+      message: hasChanges ? 'Post actualizado exitosamente' : 'No hay cambios que guardar',
+      post: postResponse
     });
-
   } catch (error) {
-    console.error('Error añadiendo like:', error);
+    console.error('Error editando post:', error);
     res.status(500).json({ message: 'Error del servidor' });
+  } finally {
+    if (!imagesSaved) {
+      await removeUploads(galleryFiles(uploadedImages));
+    }
   }
 });
 
-// QUITAR LIKE DE UN POST - CORREGIDO
-router.delete('/:id/like', auth, async (req, res) => {
+// Publicar ya un borrador o un post programado (solo el autor)
+router.post('/:id/publish', auth, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const userId = req.user._id;
-
-    const post = await Post.findById(postId);
+    const post = await Post.findById(req.params.id).select('author');
 
     if (!post) {
       return res.status(404).json({ message: 'Post no encontrado' });
     }
 
-    // CORREGIDO: Verificar si tiene like antes de quitar
-    const hasLiked = post.hasUserLiked(userId);
-    if (!hasLiked) {
-      return res.status(400).json({ message: 'No has dado like a este post' });
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'No tienes permiso para publicar este post' });
     }
 
-    // Quitar like y guardar
-    const likeRemoved = post.removeLike(userId);
-    if (!likeRemoved) {
-      return res.status(400).json({ message: 'No se pudo quitar el like' });
+    const published = await Post.publishPending({ _id: post._id });
+    if (!published) {
+      return res.status(400).json({ message: 'El post ya está publicado' });
     }
 
-    await post.save();
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
 
-    // Recargar el post con los datos actualizados
-    await post.populate([
-      { path: 'author', select: 'username' },
-      { path: 'likes.user', select: 'username' }
-    ]);
+    // Emitir el nuevo post via Socket.IO a su audiencia
+    await emitToPostAudience(req.app.get('socketio'), published, 'new_post', postResponse);
 
-    const likeData = {
-      postId: post._id,
-      likesCount: post.likesCount,
-      hasLiked: false,
-      recentLikes: post.likes
-        .slice(-3)
-        .map(like => like.user.username)
-        .reverse(),
-      unlikedBy: req.user.username
-    };
+    res.json({
+      message: 'Post publicado exitosamente',
+      post: postResponse
+    });
+  } catch (error) {
+    console.error('Error publicando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
 
-    // Emitir evento de socket para actualización en tiempo real
-    if (req.app.get('socketio')) {
-      req.app.get('socketio').emit('post_unliked', likeData);
+// Programar o reprogramar la publicación de un borrador (solo el autor)
+router.put('/:id/schedule', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'No tienes permiso para programar este post' });
+    }
+
+    const publication = parsePublication({ status: 'scheduled', publishAt: req.body.publishAt });
+    if (publication.error) {
+      return res.status(400).json({ message: publication.error });
+    }
+
+    // La condición sobre el estado evita reprogramar un post que se acaba de publicar
+    const scheduled = await Post.findOneAndUpdate(
+      { _id: post._id, status: { $in: ['draft', 'scheduled'] } },
+      { status: 'scheduled', publishAt: publication.publishAt },
+      { new: true }
+    );
+    if (!scheduled) {
+      return res.status(400).json({ message: 'El post ya está publicado' });
     }
 
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
+
     res.json({
-      message: 'Like removido exitosamente',
-      ...likeData
+      message: 'Publicación programada exitosamente',
+      post: postResponse
     });
-
   } catch (error) {
-    console.error('Error removiendo like:', error);
+    console.error('Error programando post:', error);
     res.status(500).json({ message: 'Error del servidor' });
   }
 });
 
-// OBTENER USUARIOS QUE HAN DADO LIKE A UN POST
-router.get('/:id/likes', auth, async (req, res) => {
+// Cancelar la programación de un post, que vuelve a ser un borrador
+router.delete('/:id/schedule', auth, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const { page = 1, limit = 20 } = req.query;
+    const post = await Post.findById(req.params.id).select('author');
 
-    const post = await Post.findById(postId)
-      .populate({
-        path: 'likes.user',
-        select: 'username profilePicture'
-      });
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'No tienes permiso para programar este post' });
+    }
+
+    const draft = await Post.findOneAndUpdate(
+      { _id: post._id, status: 'scheduled' },
+      { status: 'draft', publishAt: null },
+      { new: true }
+    );
+    if (!draft) {
+      return res.status(400).json({ message: 'El post no está programado' });
+    }
+
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
+
+    res.json({
+      message: 'Programación cancelada; el post se ha guardado como borrador',
+      post: postResponse
+    });
+  } catch (error) {
+    console.error('Error cancelando programación:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Fijar un post propio en el perfil
+router.post('/:id/pin', auth, async (req, res) => {
+  try {
+    const post = await Post.findOne({ $and: [{ _id: req.params.id }, PUBLISHED_FILTER] }).select('author');
 
     if (!post) {
       return res.status(404).json({ message: 'Post no encontrado' });
     }
 
-    // Aplicar paginación manualmente
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedLikes = post.likes
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(startIndex, endIndex);
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Solo puedes fijar tus propios posts' });
+    }
+
+    if (req.user.pinnedPosts.some(id => id.equals(post._id))) {
+      return res.status(400).json({ message: 'El post ya está fijado' });
+    }
 
-    const likesData = paginatedLikes.map(like => ({
-      user: {
-        id: like.user._id,
-        username: like.user.username,
-        profilePicture: like.user.profilePicture ? 
-          `${req.protocol}://${req.get('host')}/uploads/profiles/${like.user.profilePicture}` : null
+    // La condición sobre el array evita superar el máximo con peticiones simultáneas
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        pinnedPosts: { $ne: post._id },
+        [`pinnedPosts.${MAX_PINNED_POSTS - 1}`]: { $exists: false }
       },
-      likedAt: like.createdAt
-    }));
+      { $push: { pinnedPosts: { $each: [post._id], $position: 0 } } },
+      { new: true }
+    ).select('pinnedPosts');
+
+    if (!user) {
+      return res.status(400).json({ message: `Solo puedes fijar ${MAX_PINNED_POSTS} posts` });
+    }
 
     res.json({
-      likes: likesData,
-      totalLikes: post.likesCount,
-      currentPage: parseInt(page),
-      hasMore: endIndex < post.likes.length
+      message: 'Post fijado exitosamente',
+      pinnedPosts: user.pinnedPosts
     });
+  } catch (error) {
+    console.error('Error fijando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Quitar un post de los fijados en el perfil
+router.delete('/:id/pin', auth, async (req, res) => {
+  try {
+    if (!req.user.pinnedPosts.some(id => id.toString() === req.params.id)) {
+      return res.status(400).json({ message: 'El post no está fijado' });
+    }
 
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { pinnedPosts: req.params.id } },
+      { new: true }
+    ).select('pinnedPosts');
+
+    res.json({
+      message: 'Post desfijado exitosamente',
+      pinnedPosts: user.pinnedPosts
+    });
   } catch (error) {
-    console.error('Error obteniendo likes:', error);
+    console.error('Error desfijando post:', error);
     res.status(500).json({ message: 'Error del servidor' });
   }
 });
 
-// Eliminar post (solo el autor puede eliminar su propio post)
-router.delete('/:id', auth, async (req, res) => {
+// OBTENER ESTADÍSTICAS DE UN POST (solo el autor). Devuelve los totales y
+// la evolución por horas de las últimas ?hours= horas (48 por defecto)
+router.get('/:id/insights', auth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 48, 1), MAX_INSIGHTS_HOURS);
+
+    const post = await Post.findById(req.params.id)
+      .select('author likesCount commentsCount repostsCount createdAt');
     if (!post) {
       return res.status(404).json({ message: 'Post no encontrado' });
     }
 
     if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'No tienes permiso para eliminar este post' });
+      return res.status(403).json({ message: 'Solo el autor puede ver las estadísticas de este post' });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    const currentHour = hourOf();
+    const since = new Date(currentHour.getTime() - (hours - 1) * HOUR);
 
-    // Emitir evento de socket para actualización en tiempo real
-    if (req.app.get('socketio')) {
-      req.app.get('socketio').emit('post_deleted', { postId: req.params.id });
+    const [totals] = await PostInsight.aggregate([
+      { $match: { post: post._id } },
+      { $group: { _id: null, impressions: { $sum: '$impressions' }, likes: { $sum: '$likes' } } }
+    ]);
+    const buckets = await PostInsight.find({ post: post._id, hour: { $gte: since } })
+      .select('hour impressions likes');
+    const bucketsByHour = new Map(buckets.map(bucket => [bucket.hour.getTime(), bucket]));
+
+    // Serie completa hora a hora, con ceros en las horas sin actividad
+    const timeline = [];
+    for (let time = since.getTime(); time <= currentHour.getTime(); time += HOUR) {
+      const bucket = bucketsByHour.get(time);
+      timeline.push({
+        hour: new Date(time),
+        impressions: bucket ? bucket.impressions : 0,
+        likes: bucket ? bucket.likes : 0
+      });
     }
 
-    res.json({ message: 'Post eliminado exitosamente' });
+    res.json({
+      postId: post._id,
+      totals: {
+        impressions: totals ? totals.impressions : 0,
+        likes: post.likesCount,
+        comments: post.commentsCount,
+        reposts: post.repostsCount
+      },
+      timeline
+    });
   } catch (error) {
-    console.error('Error eliminando post:', error);
+    console.error('Error obteniendo estadísticas del post:', error);
     res.status(500).json({ message: 'Error del servidor' });
   }
 });
 
-const handlePostLiked = (likeData) => {
-  setPosts(prevPosts => 
-    prevPosts.map(post => 
-      post.id === likeData.postId 
-        ? {
-            ...post,
-            likesCount: likeData.likesCount,
-            hasLiked: likeData.likedBy === currentUser?.username ? true : post.hasLiked,
-            recentLikes: likeData.recentLikes
-          }
-        : post
-    )
-  );
-};
+// OBTENER HISTORIAL DE REVISIONES DE UN POST
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select('author text isRichText image images createdAt editedAt revisions');
+
+    // El autor ve siempre sus posts; los demás solo si pueden leerlo
+    const isAuthor = post && post.author.toString() === req.user._id.toString();
+    if (!post || (!isAuthor && !await findReadablePost(post._id, req.user, '_id'))) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    // Las revisiones se devuelven de la más reciente a la más antigua
+    const revisions = post.revisions.slice().reverse().map(revision => ({
+      id: revision._id,
+      text: revision.text,
+      isRichText: revision.isRichText,
+      image: revision.image,
+      images: galleryOf(revision).map(formatImage),
+      createdAt: revision.createdAt
+    }));
+
+    res.json({
+      current: {
+        text: post.text,
+        isRichText: post.isRichText,
+        image: post.image,
+        images: galleryOf(post).map(formatImage),
+        createdAt: post.editedAt || post.createdAt
+      },
+      editedAt: post.editedAt,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error obteniendo revisiones:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
 
-const handlePostUnliked = (likeData) => {
-  setPosts(prevPosts => 
-    prevPosts.map(post => 
-      post.id === likeData.postId 
-        ? {
-            ...post,
-            likesCount: likeData.likesCount,
-            hasLiked: likeData.unlikedBy === currentUser?.username ? false : post.hasLiked,
-            recentLikes: likeData.recentLikes
-          }
-        : post
-    )
-  );
+// Datos de reacciones de un post tras un cambio, para la respuesta y el socket
+const buildReactionData = async (postId, req, reaction, previousReaction) => {
+  const [post, recentLikers] = await Promise.all([
+    Post.findById(postId).select('likesCount reactionCounts'),
+    findRecentLikers([postId])
+  ]);
+
+  return {
+    postId,
+    likesCount: post ? post.likesCount : 0,
+    reactions: reactionCountsOf(post ? post.reactionCounts : {}),
+    recentLikes: recentLikers.get(postId.toString()),
+    user: req.user.username,
+    reaction,
+    previousReaction
+  };
 };
 
+// Guardar la reacción de un usuario y notificarla en tiempo real
+const saveReaction = async (req, res, reaction, { allowChange = true } = {}) => {
+  const post = await findReadablePost(req.params.id, req.user, 'author visibility authorIsPrivate');
+
+  if (!post) {
+    return res.status(404).json({ message: 'Post no encontrado' });
+  }
+
+  let previousReaction = null;
+  if (allowChange) {
+    previousReaction = await Like.react(post._id, req.user._id, reaction);
+  } else if (!await Like.addReaction(post._id, req.user._id, reaction)) {
+    return res.status(400).json({ message: 'Ya has reaccionado a este post' });
+  }
+
+  if (!previousReaction) {
+    recordLike(post);
+  }
+
+  const reactionData = await buildReactionData(post._id, req, reaction, previousReaction);
+
+  // Emitir evento de socket para actualización en tiempo real
+  if (previousReaction !== reaction) {
+    await emitToPostAudience(req.app.get('socketio'), post, 'post_reaction', reactionData, req.user._id);
+  }
+
+  res.json({
+    message: 'Reacción guardada exitosamente',
+    ...reactionData,
+    viewerReaction: reaction,
+    hasLiked: true
+  });
+};
+
+// Quitar la reacción de un usuario y notificarlo en tiempo real
+const deleteReaction = async (req, res) => {
+  const post = await findReadablePost(req.params.id, req.user, 'author visibility authorIsPrivate');
+
+  if (!post) {
+    return res.status(404).json({ message: 'Post no encontrado' });
+  }
+
+  const previousReaction = await Like.removeReaction(post._id, req.user._id);
+  if (!previousReaction) {
+    return res.status(400).json({ message: 'No has reaccionado a este post' });
+  }
+
+  const reactionData = await buildReactionData(post._id, req, null, previousReaction);
+
+  // Emitir evento de socket para actualización en tiempo real
+  await emitToPostAudience(req.app.get('socketio'), post, 'post_reaction', reactionData, req.user._id);
+
+  res.json({
+    message: 'Reacción eliminada exitosamente',
+    ...reactionData,
+    viewerReaction: null,
+    hasLiked: false
+  });
+};
+
+// Obtener las reacciones disponibles
+router.get('/reactions', auth, (req, res) => {
+  res.json({
+    reactions: REACTION_TYPES.map(type => ({ type, emoji: REACTIONS[type] })),
+    defaultReaction: DEFAULT_REACTION
+  });
+});
+
+// REACCIONAR A UN POST O CAMBIAR DE REACCIÓN (una por usuario)
+router.put('/:id/reaction', auth, [
+  body('reaction').isIn(REACTION_TYPES).withMessage('Reacción no válida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Reacción no válida',
+        errors: errors.array()
+      });
+    }
+
+    await saveReaction(req, res, req.body.reaction);
+  } catch (error) {
+    console.error('Error guardando reacción:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// QUITAR LA REACCIÓN DE UN POST
+router.delete('/:id/reaction', auth, async (req, res) => {
+  try {
+    await deleteReaction(req, res);
+  } catch (error) {
+    console.error('Error eliminando reacción:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// DAR LIKE A UN POST (compatibilidad: equivale a la reacción por defecto)
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    await saveReaction(req, res, DEFAULT_REACTION, { allowChange: false });
+  } catch (error) {
+    console.error('Error añadiendo like:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// QUITAR LIKE DE UN POST (compatibilidad: quita cualquier reacción)
+router.delete('/:id/like', auth, async (req, res) => {
+  try {
+    await deleteReaction(req, res);
+  } catch (error) {
+    console.error('Error removiendo like:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// GUARDAR UN POST (opcionalmente en una colección). Si ya estaba guardado,
+// se mueve a la colección indicada. Los guardados son privados
+router.post('/:id/bookmark', auth, [
+  body('collectionId').optional({ values: 'null' }).isMongoId().withMessage('Colección no válida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Datos no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const postId = req.params.id;
+    const { collectionId } = req.body;
+
+    const postExists = await findReadablePost(postId, req.user, '_id');
+    if (!postExists) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    if (collectionId) {
+      const collection = await BookmarkCollection.exists({ _id: collectionId, user: req.user._id });
+      if (!collection) {
+        return res.status(404).json({ message: 'Colección no encontrada' });
+      }
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, post: postId },
+      { bookmarkCollection: collectionId || null },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Post guardado exitosamente',
+      postId,
+      isBookmarked: true,
+      collectionId: bookmark.bookmarkCollection
+    });
+  } catch (error) {
+    console.error('Error guardando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// QUITAR UN POST DE GUARDADOS
+router.delete('/:id/bookmark', auth, async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({ user: req.user._id, post: req.params.id });
+
+    if (!bookmark) {
+      return res.status(404).json({ message: 'No has guardado este post' });
+    }
+
+    res.json({
+      message: 'Post eliminado de guardados',
+      postId: req.params.id,
+      isBookmarked: false
+    });
+  } catch (error) {
+    console.error('Error quitando post de guardados:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// VOTAR EN LA ENCUESTA DE UN POST (`options`: ids de las opciones elegidas).
+// Cada usuario vota una sola vez
+router.post('/:id/poll/vote', auth, [
+  body('options').isArray({ min: 1 }).withMessage('Elige al menos una opción')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Voto no válido',
+        errors: errors.array()
+      });
+    }
+
+    const post = await findReadablePost(req.params.id, req.user, 'poll');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    if (!post.poll) {
+      return res.status(400).json({ message: 'Este post no tiene encuesta' });
+    }
+
+    if (post.isPollClosed()) {
+      return res.status(400).json({ message: 'La encuesta está cerrada' });
+    }
+
+    const validOptions = new Map(post.poll.options.map(option => [option._id.toString(), option._id]));
+    const optionIds = [...new Set(req.body.options.map(String))];
+
+    if (optionIds.some(id => !validOptions.has(id))) {
+      return res.status(400).json({ message: 'Opción de encuesta no válida' });
+    }
+
+    if (!post.poll.multiple && optionIds.length > 1) {
+      return res.status(400).json({ message: 'Esta encuesta solo admite una opción' });
+    }
+
+    const selectedOptions = optionIds.map(id => validOptions.get(id));
+    if (!await PollVote.addVote(post._id, req.user._id, selectedOptions)) {
+      return res.status(400).json({ message: 'Ya has votado en esta encuesta' });
+    }
+
+    const updatedPost = await Post.findById(post._id).select('poll');
+    const poll = formatPoll(updatedPost.poll, selectedOptions);
+
+    // Los resultados en directo solo llegan a quienes ya han votado, a través
+    // de la sala de la encuesta
+    const io = req.app.get('socketio');
+    if (io) {
+      io.in(`user_${req.user._id}`).socketsJoin(`poll_${post._id}`);
+      io.to(`poll_${post._id}`).emit('poll_updated', {
+        postId: post._id,
+        votersCount: poll.votersCount,
+        options: poll.options.map(option => ({ id: option.id, votesCount: option.votesCount }))
+      });
+    }
+
+    res.json({
+      message: 'Voto registrado exitosamente',
+      poll
+    });
+  } catch (error) {
+    console.error('Error votando en encuesta:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// OBTENER USUARIOS QUE HAN REACCIONADO A UN POST (?reaction= filtra por tipo)
+router.get('/:id/likes', auth, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const { reaction } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const post = await findReadablePost(postId, req.user, 'likesCount reactionCounts');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    const filter = { post: post._id };
+    if (reaction) filter.reaction = reaction;
+
+    // Se pide uno más para saber si hay más páginas
+    const likes = await Like.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate('user', 'username profilePicture profilePictureThumb');
+
+    const likesData = likes
+      .slice(0, limit)
+      .filter(like => like.user)
+      .map(like => ({
+        user: {
+          id: like.user._id,
+          username: like.user.username,
+          profilePicture: avatarUrl(req, like.user)
+        },
+        reaction: like.reaction,
+        likedAt: like.createdAt
+      }));
+
+    const reactions = reactionCountsOf(post.reactionCounts);
+
+    res.json({
+      likes: likesData,
+      totalLikes: reaction ? reactions[reaction] || 0 : post.likesCount,
+      reactions,
+      currentPage: page,
+      hasMore: likes.length > limit
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo likes:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// OBTENER COMENTARIOS DE UN POST (en forma de hilo). Se paginan los
+// comentarios de primer nivel, del más antiguo al más reciente, con
+// ?after=<commentId>&limit=, y cada uno incluye todas sus respuestas
+router.get('/:id/comments', auth, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const { after, limit } = req.query;
+    const pageSize = getPageSize(limit);
+
+    const cursorFilter = idCursorFilter(after, { ascending: true });
+    if (!cursorFilter) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    const post = await findReadablePost(postId, req.user, 'author commentsCount');
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    const rootComments = await Comment.find({ post: postId, parent: null, ...cursorFilter })
+      .populate('author', 'username profilePicture profilePictureThumb')
+      .sort({ _id: 1 })
+      .limit(pageSize + 1);
+
+    const hasMore = rootComments.length > pageSize;
+    const pageRoots = rootComments.slice(0, pageSize);
+
+    // Cargar las respuestas de los comentarios de la página, nivel a nivel
+    const comments = [...pageRoots];
+    let parentIds = pageRoots.map(comment => comment._id);
+    while (parentIds.length > 0) {
+      const replies = await Comment.find({ post: postId, parent: { $in: parentIds } })
+        .populate('author', 'username profilePicture profilePictureThumb')
+        .sort({ _id: 1 });
+      comments.push(...replies);
+      parentIds = replies.map(comment => comment._id);
+    }
+
+    // Construir el árbol de respuestas
+    const nodes = new Map();
+    comments.forEach(comment => {
+      nodes.set(comment._id.toString(), formatComment(comment, post, req));
+    });
+
+    comments.forEach(comment => {
+      if (comment.parent && nodes.has(comment.parent.toString())) {
+        nodes.get(comment.parent.toString()).replies.push(nodes.get(comment._id.toString()));
+      }
+    });
+
+    // Los comentarios eliminados solo se muestran si tienen respuestas
+    const pruneDeleted = (list) => list.filter(node => {
+      node.replies = pruneDeleted(node.replies);
+      return !node.isDeleted || node.replies.length > 0;
+    });
+
+    res.json({
+      comments: pruneDeleted(pageRoots.map(comment => nodes.get(comment._id.toString()))),
+      totalComments: post.commentsCount,
+      nextCursor: hasMore ? pageRoots[pageRoots.length - 1]._id.toString() : null
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo comentarios:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// COMENTAR UN POST O RESPONDER A UN COMENTARIO
+router.post('/:id/comments', auth, [
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('El comentario no puede estar vacío')
+    .isLength({ max: 1000 })
+    .withMessage('El comentario no puede exceder 1000 caracteres'),
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Comentario padre no válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Comentario no válido',
+        errors: errors.array()
+      });
+    }
+
+    const postId = req.params.id;
+    const { text, parentId } = req.body;
+
+    const post = await findReadablePost(postId, req.user, 'author visibility authorIsPrivate');
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    // Verificar que el comentario padre pertenece al mismo post
+    if (parentId) {
+      const parentComment = await Comment.findOne({ _id: parentId, post: postId, isDeleted: false });
+      if (!parentComment) {
+        return res.status(404).json({ message: 'Comentario no encontrado' });
+      }
+    }
+
+    const filteredContent = await filterContent(text);
+    if (filteredContent.blockedTerms.length > 0) {
+      return res.status(400).json({
+        message: 'El comentario incluye términos no permitidos',
+        terms: filteredContent.blockedTerms
+      });
+    }
+
+    const comment = new Comment({
+      post: postId,
+      author: req.user._id,
+      parent: parentId || null,
+      text: filteredContent.text
+    });
+    await comment.save();
+
+    if (filteredContent.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'comment', comment: comment._id, reportedUser: comment.author }, filteredContent.flaggedTerms);
+    }
+    await comment.populate('author', 'username profilePicture profilePictureThumb');
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      postId,
+      { $inc: { commentsCount: 1 } },
+      { new: true }
+    ).select('commentsCount');
+
+    const formattedComment = formatComment(comment, post, req);
+
+    // Emitir evento de socket para actualización en tiempo real
+    await emitToPostAudience(req.app.get('socketio'), post, 'new_comment', {
+      postId: post._id,
+      comment: { ...formattedComment, canDelete: false },
+      commentsCount: updatedPost.commentsCount
+    }, req.user._id);
+
+    res.status(201).json({
+      message: 'Comentario añadido exitosamente',
+      comment: formattedComment,
+      commentsCount: updatedPost.commentsCount
+    });
+
+  } catch (error) {
+    console.error('Error añadiendo comentario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// ELIMINAR COMENTARIO (autor del comentario o autor del post)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+
+    const post = await Post.findById(postId).select('author visibility authorIsPrivate');
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, post: postId, isDeleted: false });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comentario no encontrado' });
+    }
+
+    const isCommentAuthor = comment.author.toString() === req.user._id.toString();
+    const isPostAuthor = post.author.toString() === req.user._id.toString();
+    if (!isCommentAuthor && !isPostAuthor) {
+      return res.status(403).json({ message: 'No tienes permiso para eliminar este comentario' });
+    }
+
+    // Se marca como eliminado para no romper el hilo de respuestas
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    await comment.save();
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      postId,
+      { $inc: { commentsCount: -1 } },
+      { new: true }
+    ).select('commentsCount');
+
+    // Emitir evento de socket para actualización en tiempo real
+    await emitToPostAudience(req.app.get('socketio'), post, 'comment_deleted', {
+      postId: post._id,
+      commentId: comment._id,
+      commentsCount: updatedPost.commentsCount
+    });
+
+    res.json({
+      message: 'Comentario eliminado exitosamente',
+      commentsCount: updatedPost.commentsCount
+    });
+
+  } catch (error) {
+    console.error('Error eliminando comentario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// REPOSTEAR UN POST (con texto se publica como cita)
+router.post('/:id/repost', auth, [
+  body('text').optional().isLength({ max: 5000 }).withMessage('El texto no puede exceder 5000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Datos de repost no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const target = await findReadablePost(req.params.id, req.user, 'repostOf text visibility authorIsPrivate');
+
+    if (!target) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    // Repostear un repost simple equivale a repostear el original
+    const original = target.isPlainRepost()
+      ? await findReadablePost(target.repostOf, req.user, 'visibility authorIsPrivate')
+      : target;
+
+    if (!original) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    // Un repost mostraría el post fuera de su audiencia
+    if (original.visibility !== 'public' || original.authorIsPrivate) {
+      return res.status(400).json({ message: 'Solo se pueden compartir posts públicos' });
+    }
+
+    const originalId = original._id;
+    const quoteText = (req.body.text || '').trim();
+    const isRichText = req.body.isRichText === true || req.body.isRichText === 'true';
+
+    if (!quoteText) {
+      const alreadyReposted = await Post.exists({ author: req.user._id, repostOf: originalId, text: '' });
+      if (alreadyReposted) {
+        return res.status(400).json({ message: 'Ya has reposteado este post' });
+      }
+    }
+
+    const postText = quoteText && isRichText ? sanitizeHTML(quoteText) : quoteText;
+
+    if (quoteText && postText === '') {
+      return res.status(400).json({ message: 'El contenido de la cita no es válido' });
+    }
+
+    const filteredContent = await filterContent(postText, { isRichText });
+    if (filteredContent.blockedTerms.length > 0) {
+      return res.status(400).json({
+        message: 'El contenido incluye términos no permitidos',
+        terms: filteredContent.blockedTerms
+      });
+    }
+
+    const post = new Post({
+      text: filteredContent.text,
+      isRichText: Boolean(quoteText) && isRichText,
+      author: req.user._id,
+      authorIsPrivate: req.user.isPrivate,
+      repostOf: originalId,
+      ...await buildPostEntities(filteredContent.text, isRichText)
+    });
+
+    try {
+      await post.save();
+    } catch (error) {
+      // Dos peticiones simultáneas: la otra ya creó el repost simple
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Ya has reposteado este post' });
+      }
+      throw error;
+    }
+
+    if (filteredContent.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'post', post: post._id, reportedUser: post.author }, filteredContent.flaggedTerms);
+    }
+
+    await Post.findByIdAndUpdate(originalId, { $inc: { repostsCount: 1 } });
+
+    const [postResponse] = await formatPosts([await findPost(post._id)], req);
+
+    // Emitir el repost como un post nuevo via Socket.IO
+    await emitToPostAudience(req.app.get('socketio'), post, 'new_post', postResponse);
+
+    res.status(201).json({ post: postResponse });
+  } catch (error) {
+    console.error('Error reposteando:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// DESHACER UN REPOST SIMPLE
+router.delete('/:id/repost', auth, async (req, res) => {
+  try {
+    const repost = await Post.findOneAndDelete({
+      author: req.user._id,
+      repostOf: req.params.id,
+      text: ''
+    });
+
+    if (!repost) {
+      return res.status(404).json({ message: 'No has reposteado este post' });
+    }
+
+    await Comment.deleteMany({ post: repost._id });
+    await Bookmark.deleteMany({ post: repost._id });
+    await Like.deleteMany({ post: repost._id });
+    await PostInsight.deleteMany({ post: repost._id });
+    await User.updateOne({ _id: req.user._id }, { $pull: { pinnedPosts: repost._id } });
+    const original = await Post.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { repostsCount: -1 } },
+      { new: true }
+    ).select('repostsCount');
+
+    // Emitir evento de socket para actualización en tiempo real
+    await emitToPostAudience(req.app.get('socketio'), repost, 'post_deleted', { postId: repost._id });
+
+    res.json({
+      message: 'Repost eliminado exitosamente',
+      repostsCount: original ? original.repostsCount : 0
+    });
+  } catch (error) {
+    console.error('Error eliminando repost:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Eliminar post (solo el autor puede eliminar su propio post)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'No tienes permiso para eliminar este post' });
+    }
+
+    await Post.findByIdAndDelete(req.params.id);
+    await removeUploads(post.getUploadedImagePaths());
+
+    // Si era un repost o una cita, descontarlo del original
+    if (post.repostOf) {
+      await Post.findByIdAndUpdate(post.repostOf, { $inc: { repostsCount: -1 } });
+    }
+
+    // Los reposts simples de este post desaparecen con él; las citas se
+    // conservan y muestran el original como eliminado
+    const plainReposts = await Post.find({ repostOf: post._id, text: '' })
+      .select('author visibility authorIsPrivate');
+    const deletedPostIds = [post._id, ...plainReposts.map(repost => repost._id)];
+    await Post.deleteMany({ _id: { $in: plainReposts.map(repost => repost._id) } });
+    await Comment.deleteMany({ post: { $in: deletedPostIds } });
+    await Bookmark.deleteMany({ post: { $in: deletedPostIds } });
+    await Like.deleteMany({ post: { $in: deletedPostIds } });
+    await PollVote.deleteMany({ post: { $in: deletedPostIds } });
+    await PostInsight.deleteMany({ post: { $in: deletedPostIds } });
+
+    // Quitar de los perfiles el post y sus reposts si estaban fijados
+    await User.updateMany(
+      { pinnedPosts: { $in: deletedPostIds } },
+      { $pull: { pinnedPosts: { $in: deletedPostIds } } }
+    );
+
+    // Emitir evento de socket para actualización en tiempo real
+    for (const deletedPost of [post, ...plainReposts]) {
+      await emitToPostAudience(req.app.get('socketio'), deletedPost, 'post_deleted', { postId: deletedPost._id });
+    }
+
+    res.json({ message: 'Post eliminado exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,70 +1,72 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const PostInsight = require('../models/PostInsight');
+const FollowRequest = require('../models/FollowRequest');
 const auth = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { filterContent, flagContent } = require('../utils/contentFilter');
+const { acceptPendingRequests, canViewAccount } = require('../utils/follows');
+const { recordImpressions } = require('../utils/insights');
+const { findPostsByIds, findPostsPage, formatPosts, PUBLISHED_FILTER } = require('../utils/posts');
+const { PRIVATE_FIELDS, serializeProfile } = require('../utils/profiles');
+const { removeUploads } = require('../utils/uploads');
+const { usernameRules } = require('../utils/validation');
 const jwt = require('jsonwebtoken');
 
 const router = express.Router();
 
-// Configuración de multer para fotos de perfil
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/profiles/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'profile-' + req.user._id + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Solo se permiten archivos de imagen'), false);
-  }
-};
+// Tiempo mínimo entre cambios de nombre de usuario y tiempo durante el que el
+// nombre anterior sigue reservado y redirige a la cuenta
+const USERNAME_CHANGE_COOLDOWN = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_RESERVATION = 30 * 24 * 60 * 60 * 1000;
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB límite
-  }
-});
+// Días de estadísticas que se pueden pedir y posts destacados en el resumen
+const MAX_INSIGHTS_DAYS = 30;
+const TOP_INSIGHTS_POSTS = 5;
 
-// Obtener perfil público por username - ACTUALIZADO CON LIKES
+// Obtener perfil público por username con sus posts paginados
 router.get('/user/:username', auth, async (req, res) => {
   try {
     const { username } = req.params;
     
-    const user = await User.findOne({ username }).select('-password');
-    if (!user) {
+    // Quien te ha bloqueado no aparece
+    const user = await User.findByUsername(username).select('-password');
+    if (!user || user.blocked.some(id => id.equals(req.user._id))) {
       return res.status(404).json({ message: 'Usuario no encontrado' });
     }
 
-    // Obtener posts del usuario con populate
-    const posts = await Post.find({ author: user._id })
-      .populate('author', 'username profilePicture')
-      .populate('likes.user', 'username')
-      .sort({ createdAt: -1 });
-
-    const postsWithUserInfo = posts.map(post => ({
-      id: post._id,
-      text: post.text,
-      image: post.image, // CORREGIDO: devolver solo la ruta relativa
-      author: post.author.username,
-      authorProfilePicture: post.author.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${post.author.profilePicture}` : null,
-      createdAt: post.createdAt,
-      isRichText: post.isRichText,
-      likesCount: post.likes.length,
-      hasLiked: post.likes.some(like => like.user._id.toString() === req.user.id),
-      recentLikes: post.likes.slice(-3).map(like => like.user.username)
-    }));
+    // Nombre anterior: redirigir al perfil con el nombre actual
+    if (user.username !== username) {
+      const location = `/api/profiles/user/${user.username}`;
+      return res.status(301).location(location).json({
+        message: 'Este usuario ha cambiado su nombre de usuario',
+        username: user.username,
+        redirectTo: location
+      });
+    }
+
+    // Los posts de una cuenta privada solo se muestran a sus seguidores
+    const canViewPosts = canViewAccount(req.user, user);
+
+    // Obtener posts del usuario paginados por cursor. Los fijados se devuelven
+    // aparte y no se repiten en la lista
+    let postsPage = { posts: [], nextCursor: null };
+    let pinnedPosts = [];
+    if (canViewPosts) {
+      postsPage = await findPostsPage(
+        { author: user._id, _id: { $nin: user.pinnedPosts } },
+        req.query,
+        req.user
+      );
+      if (!postsPage) {
+        return res.status(400).json({ message: 'Cursor de paginación no válido' });
+      }
+      pinnedPosts = await findPostsByIds(user.pinnedPosts, req.user);
+      recordImpressions(req.query.before ? postsPage.posts : [...pinnedPosts, ...postsPage.posts], req.user);
+    }
+    const postsWithUserInfo = await formatPosts(postsPage.posts, req);
 
     // Obtener estadísticas de seguidores
     const followersCount = await User.countDocuments({ following: user._id });
@@ -73,22 +75,23 @@ router.get('/user/:username', auth, async (req, res) => {
     // Verificar si el usuario actual sigue a este usuario
     const currentUser = await User.findById(req.user.id);
     const isFollowing = currentUser.following.includes(user._id);
+    const isPending = !isFollowing && await FollowRequest.exists({
+      requester: req.user._id,
+      target: user._id
+    });
 
     const profileData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      profilePicture: user.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${user.profilePicture}` : null,
-      bio: user.bio,
-      age: user.age,
-      gender: user.gender,
-      studies: user.studies,
-      createdAt: user.createdAt,
+      ...serializeProfile(req, user, req.user, { detailed: true }),
+      pinnedPosts: await formatPosts(pinnedPosts, req),
       posts: postsWithUserInfo,
+      nextCursor: postsPage.nextCursor,
       followersCount,
       followingCount,
       isFollowing,
+      followStatus: isFollowing ? 'following' : isPending ? 'pending' : 'none',
+      isBlocked: req.user.blocked.some(id => id.equals(user._id)),
+      isMuted: req.user.muted.some(id => id.equals(user._id)),
+      canViewPosts,
       canEdit: req.user.id === user._id.toString()
     };
 
@@ -99,6 +102,78 @@ router.get('/user/:username', auth, async (req, res) => {
   }
 });
 
+// Obtener el resumen de estadísticas de los posts propios en los últimos
+// ?days= días (7 por defecto): totales, evolución diaria y posts con más
+// impresiones
+router.get('/me/insights', auth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_INSIGHTS_DAYS);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const match = { $match: { author: req.user._id, hour: { $gte: since } } };
+
+    const [totals] = await PostInsight.aggregate([
+      match,
+      { $group: { _id: null, impressions: { $sum: '$impressions' }, likes: { $sum: '$likes' } } }
+    ]);
+
+    const dailyBuckets = await PostInsight.aggregate([
+      match,
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$hour' } },
+          impressions: { $sum: '$impressions' },
+          likes: { $sum: '$likes' }
+        }
+      }
+    ]);
+    const bucketsByDay = new Map(dailyBuckets.map(bucket => [bucket._id, bucket]));
+
+    // Serie completa día a día (UTC), con ceros en los días sin actividad
+    const timeline = [];
+    for (let day = new Date(since); day <= new Date(); day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().slice(0, 10);
+      const bucket = bucketsByDay.get(date);
+      timeline.push({
+        date,
+        impressions: bucket ? bucket.impressions : 0,
+        likes: bucket ? bucket.likes : 0
+      });
+    }
+
+    const topBuckets = await PostInsight.aggregate([
+      match,
+      { $group: { _id: '$post', impressions: { $sum: '$impressions' }, likes: { $sum: '$likes' } } },
+      { $sort: { impressions: -1, likes: -1 } },
+      { $limit: TOP_INSIGHTS_POSTS }
+    ]);
+    const topPosts = await formatPosts(await findPostsByIds(topBuckets.map(bucket => bucket._id), req.user), req);
+    const topStats = new Map(topBuckets.map(bucket => [bucket._id.toString(), bucket]));
+
+    res.json({
+      days,
+      totals: {
+        impressions: totals ? totals.impressions : 0,
+        likes: totals ? totals.likes : 0,
+        posts: await Post.countDocuments({
+          $and: [{ author: req.user._id, createdAt: { $gte: since } }, PUBLISHED_FILTER]
+        })
+      },
+      timeline,
+      topPosts: topPosts.map(post => ({
+        post,
+        impressions: topStats.get(post.id.toString()).impressions,
+        likes: topStats.get(post.id.toString()).likes
+      }))
+    });
+  } catch (error) {
+    console.error('Error obteniendo estadísticas del perfil:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
 // Obtener perfil propio para editar
 router.get('/me', auth, async (req, res) => {
   try {
@@ -108,17 +183,8 @@ router.get('/me', auth, async (req, res) => {
       .populate('following', 'username');
 
     const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      profilePicture: user.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${user.profilePicture}` : null,
-      description: user.description,
-      gender: user.gender,
-      age: user.age,
-      studies: user.studies,
+      ...serializeProfile(req, user, user, { detailed: true }),
       theme: user.theme,
-      createdAt: user.createdAt,
       followersCount: user.followers.length,
       followingCount: user.following.length
     };
@@ -130,32 +196,123 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Cambiar el nombre de usuario. El nombre anterior queda reservado y redirige
+// a la cuenta durante un tiempo
+router.put('/me/username', auth, [usernameRules()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Nombre de usuario no válido',
+        errors: errors.array()
+      });
+    }
+
+    const { username } = req.body;
+    const user = req.user;
+
+    if (username === user.username) {
+      return res.status(400).json({ message: 'Ese ya es tu nombre de usuario' });
+    }
+
+    const now = new Date();
+    if (user.usernameChangedAt) {
+      const nextChangeAt = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN);
+      if (nextChangeAt > now) {
+        return res.status(429).json({
+          message: 'Solo puedes cambiar tu nombre de usuario una vez cada 30 días',
+          nextChangeAt
+        });
+      }
+    }
+
+    if (await User.isUsernameTaken(username, user._id)) {
+      return res.status(400).json({ message: 'Este nombre de usuario ya está en uso' });
+    }
+
+    // Se descartan los nombres anteriores caducados y el que se recupera, si
+    // era uno propio
+    const previousUsernames = user.previousUsernames
+      .filter(entry => entry.reservedUntil > now && entry.username !== username)
+      .concat({
+        username: user.username,
+        changedAt: now,
+        reservedUntil: new Date(now.getTime() + USERNAME_RESERVATION)
+      });
+
+    let updatedUser;
+    try {
+      updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        { username, usernameChangedAt: now, previousUsernames },
+        { new: true }
+      ).select('username usernameChangedAt previousUsernames');
+    } catch (error) {
+      // Otro usuario ha tomado el nombre a la vez
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Este nombre de usuario ya está en uso' });
+      }
+      throw error;
+    }
+
+    res.json({
+      message: 'Nombre de usuario actualizado',
+      username: updatedUser.username,
+      previousUsernames: updatedUser.previousUsernames.map(entry => ({
+        username: entry.username,
+        reservedUntil: entry.reservedUntil
+      })),
+      nextChangeAt: new Date(now.getTime() + USERNAME_CHANGE_COOLDOWN)
+    });
+  } catch (error) {
+    console.error('Error cambiando nombre de usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
 // Actualizar perfil
-router.put('/me', auth, upload.single('profilePicture'), [
+router.put('/me', auth, uploadImage('profile', 'profilePicture'), [
   body('description').optional().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
   body('gender').optional().isIn(['masculino', 'femenino', 'otro', 'no especificado']).withMessage('Género no válido'),
   body('age').optional().isInt({ min: 13, max: 120 }).withMessage('La edad debe estar entre 13 y 120 años'),
-  body('studies').optional().isLength({ max: 200 }).withMessage('Los estudios no pueden exceder 200 caracteres')
+  body('studies').optional().isLength({ max: 200 }).withMessage('Los estudios no pueden exceder 200 caracteres'),
+  body('isPrivate').optional().isBoolean().withMessage('Valor de cuenta privada no válido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      if (req.file) {
+        await removeUploads(Object.values(req.file.variants).map(filename => `profiles/${filename}`));
+      }
       return res.status(400).json({ 
         message: 'Datos de perfil no válidos',
         errors: errors.array()
       });
     }
 
-    const { description, gender, age, studies } = req.body;
+    const { description, gender, age, studies, isPrivate } = req.body;
     
+    const filteredDescription = await filterContent(description);
+    if (filteredDescription.blockedTerms.length > 0) {
+      if (req.file) {
+        await removeUploads(Object.values(req.file.variants).map(filename => `profiles/${filename}`));
+      }
+      return res.status(400).json({
+        message: 'La descripción incluye términos no permitidos',
+        terms: filteredDescription.blockedTerms
+      });
+    }
+
     const updateData = {};
-    if (description !== undefined) updateData.description = description;
+    if (description !== undefined) updateData.description = filteredDescription.text;
     if (gender !== undefined) updateData.gender = gender;
     if (age !== undefined) updateData.age = age;
     if (studies !== undefined) updateData.studies = studies;
+    if (isPrivate !== undefined) updateData.isPrivate = isPrivate === true || isPrivate === 'true';
     
     if (req.file) {
       updateData.profilePicture = req.file.filename;
+      updateData.profilePictureThumb = req.file.variants.thumb;
     }
 
     const user = await User.findByIdAndUpdate(
@@ -164,22 +321,29 @@ router.put('/me', auth, upload.single('profilePicture'), [
       { new: true }
     ).select('-password');
 
-    const profileData = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      profilePicture: user.profilePicture ? 
-        `${req.protocol}://${req.get('host')}/uploads/profiles/${user.profilePicture}` : null,
-      description: user.description,
-      gender: user.gender,
-      age: user.age,
-      studies: user.studies,
-      createdAt: user.createdAt
-    };
+    if (filteredDescription.flaggedTerms.length > 0) {
+      await flagContent({ targetType: 'user', reportedUser: user._id }, filteredDescription.flaggedTerms);
+    }
+
+    // Al cambiar la privacidad se actualizan los posts y, si la cuenta pasa a
+    // ser pública, se aceptan las solicitudes pendientes
+    if (user.isPrivate !== req.user.isPrivate) {
+      await Post.updateMany({ author: user._id }, { authorIsPrivate: user.isPrivate });
+      if (!user.isPrivate) {
+        await acceptPendingRequests(user._id);
+      }
+    }
+
+    // Borrar la foto anterior y su miniatura
+    if (req.file) {
+      await removeUploads([req.user.profilePicture, req.user.profilePictureThumb]
+        .filter(Boolean)
+        .map(filename => `profiles/${filename}`));
+    }
 
     res.json({
       message: 'Perfil actualizado exitosamente',
-      profile: profileData
+      profile: serializeProfile(req, user, user, { detailed: true })
     });
   } catch (error) {
     console.error('Error actualizando perfil:', error);
@@ -187,6 +351,41 @@ router.put('/me', auth, upload.single('profilePicture'), [
   }
 });
 
+// Actualizar quién puede ver cada dato personal del perfil
+// (public, followers u only_me)
+router.put('/me/privacy', auth, PRIVATE_FIELDS.map(field =>
+  body(field)
+    .optional()
+    .isIn(User.schema.path(`privacy.${field}`).enumValues)
+    .withMessage('Nivel de privacidad no válido')
+), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Datos de privacidad no válidos',
+        errors: errors.array()
+      });
+    }
+
+    const updateData = {};
+    PRIVATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[`privacy.${field}`] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, updateData, { new: true })
+      .select('-password');
+
+    res.json({
+      message: 'Privacidad actualizada exitosamente',
+      profile: serializeProfile(req, user, user, { detailed: true })
+    });
+  } catch (error) {
+    console.error('Error actualizando privacidad:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
 // Actualizar tema del usuario
 router.put('/theme', auth, [
   body('theme').isIn(['light', 'dark', 'red-dark', 'blue-dark', 'green-dark']).withMessage('Tema no válido')
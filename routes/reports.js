@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { findReadablePost } = require('../utils/posts');
+
+const router = express.Router();
+
+const reportRules = [
+  body('reason')
+    .isIn(Report.schema.path('reason').enumValues)
+    .withMessage('Motivo de denuncia no válido'),
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Los detalles no pueden exceder 500 caracteres')
+];
+
+// Crear una denuncia sobre `target` ({ targetType, post, message, reportedUser })
+// si el usuario no tiene ya una pendiente sobre el mismo contenido
+const createReport = async (req, res, target) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Datos de denuncia no válidos',
+      errors: errors.array()
+    });
+  }
+
+  if (target.reportedUser.toString() === req.user._id.toString()) {
+    return res.status(400).json({ message: 'No puedes denunciar tu propio contenido' });
+  }
+
+  const targetFilter = {
+    targetType: target.targetType,
+    post: target.post || null,
+    message: target.message || null,
+    reportedUser: target.reportedUser
+  };
+
+  const pendingReport = await Report.exists({
+    ...targetFilter,
+    reporter: req.user._id,
+    status: { $in: ['open', 'reviewing'] }
+  });
+  if (pendingReport) {
+    return res.status(400).json({ message: 'Ya has denunciado este contenido' });
+  }
+
+  const report = new Report({
+    ...targetFilter,
+    reporter: req.user._id,
+    reason: req.body.reason,
+    details: req.body.details || ''
+  });
+  await report.save();
+
+  res.status(201).json({
+    message: 'Denuncia enviada. Un moderador la revisará',
+    report: {
+      id: report._id,
+      targetType: report.targetType,
+      reason: report.reason,
+      status: report.status,
+      createdAt: report.createdAt
+    }
+  });
+};
+
+// Denunciar un post
+router.post('/posts/:id', auth, reportRules, async (req, res) => {
+  try {
+    const post = await findReadablePost(req.params.id, req.user, 'author');
+    if (!post) {
+      return res.status(404).json({ message: 'Post no encontrado' });
+    }
+
+    await createReport(req, res, {
+      targetType: 'post',
+      post: post._id,
+      reportedUser: post.author
+    });
+  } catch (error) {
+    console.error('Error denunciando post:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Denunciar un mensaje de chat (solo los participantes de la conversación)
+router.post('/messages/:id', auth, reportRules, async (req, res) => {
+  try {
+    const message = await Message.findOne({ _id: req.params.id, isDeleted: false });
+    if (!message) {
+      return res.status(404).json({ message: 'Mensaje no encontrado' });
+    }
+
+    const isParticipant = await Conversation.exists({
+      _id: message.conversation,
+      participants: req.user._id
+    });
+    if (!isParticipant) {
+      return res.status(403).json({ message: 'No tienes acceso a este mensaje' });
+    }
+
+    await createReport(req, res, {
+      targetType: 'message',
+      message: message._id,
+      reportedUser: message.sender
+    });
+  } catch (error) {
+    console.error('Error denunciando mensaje:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Denunciar un perfil
+router.post('/users/:username', auth, reportRules, async (req, res) => {
+  try {
+    const user = await User.findByUsername(req.params.username).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    await createReport(req, res, {
+      targetType: 'user',
+      reportedUser: user._id
+    });
+  } catch (error) {
+    console.error('Error denunciando usuario:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { findPostsPage, formatPosts } = require('../utils/posts');
+const { serializeProfile } = require('../utils/profiles');
+const { escapeRegex } = require('../utils/text');
+const { mutedFilter } = require('../utils/visibility');
+
+const router = express.Router();
+
+const MAX_USER_RESULTS = 20;
+
+// Buscar usuarios por prefijo del nombre de usuario (para autocompletado)
+router.get('/users', auth, [
+  query('q').optional().isString().withMessage('Término de búsqueda no válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Búsqueda no válida',
+        errors: errors.array()
+      });
+    }
+
+    const q = (req.query.q || '').trim().replace(/^@/, '');
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_USER_RESULTS);
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    // No se muestran los usuarios que han bloqueado a quien busca
+    const users = await User.find({
+      username: { $regex: `^${escapeRegex(q)}`, $options: 'i' },
+      blocked: { $ne: req.user._id }
+    })
+      .select('username profilePicture profilePictureThumb')
+      .sort({ username: 1 })
+      .limit(limit);
+
+    res.json(users.map(user => serializeProfile(req, user, req.user)));
+  } catch (error) {
+    console.error('Error buscando usuarios:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+// Buscar posts por texto completo con filtros opcionales:
+// ?q=&author=<username>&from=<fecha>&to=<fecha>&hasImage=true|false
+// Paginado por cursor igual que el feed (?before=&limit=)
+router.get('/posts', auth, [
+  query('q').optional().isString().withMessage('Término de búsqueda no válido'),
+  query('author').optional().isString().withMessage('Autor no válido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Búsqueda no válida',
+        errors: errors.array()
+      });
+    }
+
+    const { q, author, from, to, hasImage } = req.query;
+    const filter = {};
+
+    if (q && q.trim()) {
+      filter.$text = { $search: q.trim() };
+    }
+
+    if (author) {
+      const authorUser = await User.findByUsername(author).select('_id');
+      if (!authorUser) {
+        return res.json({ posts: [], nextCursor: null });
+      }
+      filter.author = authorUser._id;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ message: 'Rango de fechas no válido' });
+      }
+
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    if (hasImage === 'true') {
+      filter.image = { $ne: null };
+    } else if (hasImage === 'false') {
+      filter.image = null;
+    }
+
+    if (Object.keys(filter).length === 0) {
+      return res.status(400).json({ message: 'Indica un término de búsqueda o algún filtro' });
+    }
+
+    // Igual que en el feed, no se muestran los posts de los usuarios silenciados
+    const page = await findPostsPage({ $and: [filter, mutedFilter(req.user)] }, req.query, req.user);
+    if (!page) {
+      return res.status(400).json({ message: 'Cursor de paginación no válido' });
+    }
+
+    res.json({
+      posts: await formatPosts(page.posts, req),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error buscando posts:', error);
+    res.status(500).json({ message: 'Error del servidor' });
+  }
+});
+
+module.exports = router;
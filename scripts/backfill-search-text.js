@@ -0,0 +1,32 @@
+// Rellena `searchText` en los posts creados antes de la búsqueda de texto completo
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/Post');
+const { stripHTML } = require('../utils/text');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const posts = Post.find({ $or: [{ searchText: { $exists: false } }, { searchText: '' }] })
+    .select('text isRichText')
+    .cursor();
+
+  let updated = 0;
+  for await (const post of posts) {
+    const text = post.text || '';
+    await Post.updateOne(
+      { _id: post._id },
+      { searchText: post.isRichText ? stripHTML(text) : text }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Texto de búsqueda actualizado en ${updated} posts`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Error actualizando el texto de búsqueda:', err);
+  process.exit(1);
+});
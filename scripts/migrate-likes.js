@@ -0,0 +1,70 @@
+// Mueve los likes guardados dentro de cada post a la colección Like y
+// recalcula los contadores de reacciones. Los likes sin reacción pasan a ser
+// la reacción por defecto. Se puede ejecutar varias veces sin duplicar likes
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const { DEFAULT_REACTION, REACTION_TYPES } = require('../utils/reactions');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // El índice único { post, user } debe existir antes de insertar
+  await Like.init();
+
+  // El esquema de Post ya no tiene `likes`, así que se lee la colección directamente
+  const posts = Post.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1 } }
+  );
+
+  let migratedPosts = 0;
+  let migratedLikes = 0;
+
+  for await (const post of posts) {
+    const now = new Date();
+    const result = await Like.collection.bulkWrite(post.likes.map(like => ({
+      updateOne: {
+        filter: { post: post._id, user: like.user },
+        update: {
+          $setOnInsert: {
+            reaction: like.reaction || DEFAULT_REACTION,
+            createdAt: like.createdAt || now,
+            updatedAt: now
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const counts = await Like.aggregate([
+      { $match: { post: post._id } },
+      { $group: { _id: '$reaction', count: { $sum: 1 } } }
+    ]);
+    const countsByReaction = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          likesCount: counts.reduce((total, { count }) => total + count, 0),
+          reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, countsByReaction.get(type) || 0]))
+        },
+        $unset: { likes: '' }
+      }
+    );
+
+    migratedPosts++;
+    migratedLikes += result.upsertedCount;
+  }
+
+  console.log(`✅ ${migratedLikes} likes migrados desde ${migratedPosts} posts`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Error migrando likes:', err);
+  process.exit(1);
+});
@@ -12,7 +12,15 @@ const postRoutes = require('./routes/posts');
 const profileRoutes = require('./routes/profiles');
 const followRoutes = require('./routes/follows');
 const chatRoutes = require('./routes/chat');
+const searchRoutes = require('./routes/search');
+const bookmarkRoutes = require('./routes/bookmarks');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
 const User = require('./models/User');
+const PollVote = require('./models/PollVote');
+const { startPostInsights } = require('./jobs/postInsights');
+const { startScheduledPosts } = require('./jobs/scheduledPosts');
+const { startTrendingPosts } = require('./jobs/trendingPosts');
 
 const app = express();
 const server = http.createServer(app);
@@ -52,6 +60,10 @@ io.use(async (socket, next) => {
       return next(new Error('Invalid token'));
     }
 
+    if (user.isSuspended()) {
+      return next(new Error('Account suspended'));
+    }
+
     socket.userId = user._id.toString();
     socket.username = user.username;
     next();
@@ -70,6 +82,10 @@ io.on('connection', (socket) => {
     username: socket.username
   });
 
+  // Sala personal para los eventos dirigidos solo a este usuario (por ejemplo,
+  // los posts con audiencia restringida)
+  socket.join(`user_${socket.userId}`);
+
   // Unirse a conversaciones
   socket.on('join_conversation', (conversationId) => {
     // Verificar si ya está en la conversación
@@ -97,6 +113,23 @@ io.on('connection', (socket) => {
     });
   });
 
+  // Recibir en directo los resultados de una encuesta. Solo se permite a
+  // quien ya ha votado, porque los resultados se ocultan hasta entonces
+  socket.on('join_poll', async (postId) => {
+    try {
+      const hasVoted = await PollVote.exists({ post: postId, user: socket.userId });
+      if (hasVoted) {
+        socket.join(`poll_${postId}`);
+      }
+    } catch (error) {
+      console.error(`Error uniendo a ${socket.username} a la encuesta ${postId}:`, error);
+    }
+  });
+
+  socket.on('leave_poll', (postId) => {
+    socket.leave(`poll_${postId}`);
+  });
+
   // Manejo de desconexión
   socket.on('disconnect', (reason) => {
     console.log(`Usuario ${socket.username} desconectado de Orbya: ${reason}`);
@@ -130,6 +163,10 @@ app.use('/api/posts', postRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/follows', followRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // En producción, servir el frontend para todas las rutas no-API
 if (process.env.NODE_ENV === 'production') {
@@ -140,7 +177,12 @@ if (process.env.NODE_ENV === 'production') {
 
 // Conectar a MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ Conectado a MongoDB'))
+  .then(() => {
+    console.log('✅ Conectado a MongoDB');
+    startScheduledPosts(io);
+    startTrendingPosts();
+    startPostInsights();
+  })
   .catch(err => console.error('❌ Error conectando a MongoDB:', err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,41 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FilterTerm = require('../models/FilterTerm');
+const { filterContent, invalidateFilterTerms } = require('../utils/contentFilter');
+
+const TERMS = [
+  { term: 'badword', normalizedTerm: 'badword', action: 'block', wholeWord: true },
+  { term: 'feo', normalizedTerm: 'feo', action: 'mask', wholeWord: true }
+];
+
+beforeEach(() => {
+  invalidateFilterTerms();
+  mock.method(FilterTerm, 'find', () => ({ select: async () => TERMS }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('bloquea términos partidos con etiquetas en texto enriquecido', async () => {
+  const result = await filterContent('<p>esto es b<b>ad</b>word</p>', { isRichText: true });
+  assert.deepEqual(result.blockedTerms, ['badword']);
+});
+
+test('bloquea términos escritos con entidades HTML', async () => {
+  const result = await filterContent('<p>&#98;ad&#x77;ord</p>', { isRichText: true });
+  assert.deepEqual(result.blockedTerms, ['badword']);
+});
+
+test('las etiquetas de bloque separan palabras', async () => {
+  const result = await filterContent('<p>bad</p><p>word</p>', { isRichText: true });
+  assert.deepEqual(result.blockedTerms, []);
+});
+
+test('enmascara en el HTML sin tocar las etiquetas', async () => {
+  const result = await filterContent('<p>qué <em>f</em>éo &amp; f&#101;o</p>', { isRichText: true });
+  assert.equal(result.text, '<p>qué <em>*</em>** &amp; ***</p>');
+});
+
+test('enmascara en texto plano con tildes', async () => {
+  const result = await filterContent('Qué FÉO es esto');
+  assert.equal(result.text, 'Qué *** es esto');
+});
@@ -0,0 +1,60 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { findPostsPage } = require('../utils/posts');
+
+// Consulta de Mongoose simulada: los métodos encadenados devuelven la propia
+// consulta y al esperarla se obtiene `result`
+const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const viewer = { _id: new mongoose.Types.ObjectId(), following: [], blocked: [], muted: [] };
+
+afterEach(() => mock.restoreAll());
+
+test('findPostsPage continúa la página aunque el post del cursor se haya borrado', async () => {
+  const deletedId = new mongoose.Types.ObjectId();
+  const olderPost = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.now() - 60000) };
+  let postsQuery = null;
+
+  mock.method(User, 'distinct', async () => []);
+  mock.method(Post, 'findById', () => fakeQuery(null));
+  mock.method(Post, 'find', (query) => {
+    postsQuery = query;
+    return fakeQuery([olderPost]);
+  });
+
+  const page = await findPostsPage({}, { before: deletedId.toString() }, viewer);
+
+  assert.ok(page);
+  assert.deepEqual(page.posts, [olderPost]);
+  assert.equal(page.nextCursor, null);
+
+  // Se pagina desde la fecha del id borrado, desempatando por el propio id
+  const createdAt = deletedId.getTimestamp();
+  assert.deepEqual(postsQuery.$and.at(-1), {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      {
+        createdAt: { $gte: createdAt, $lt: new Date(createdAt.getTime() + 1000) },
+        _id: { $lt: deletedId }
+      }
+    ]
+  });
+});
+
+test('findPostsPage devuelve null con un cursor no válido', async () => {
+  mock.method(User, 'distinct', async () => []);
+
+  assert.equal(await findPostsPage({}, { before: 'no-es-un-cursor' }, viewer), null);
+});
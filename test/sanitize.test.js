@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHTML } = require('../utils/sanitize');
+
+// Comprobar que el resultado no contiene nada ejecutable
+const assertSafe = (html) => {
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /<iframe/i);
+  assert.doesNotMatch(html, /<svg/i);
+  assert.doesNotMatch(html, /<img/i);
+  assert.doesNotMatch(html, /\son\w+\s*=/i);
+  assert.doesNotMatch(html, /javascript:/i);
+};
+
+// Valor de href del primer enlace, o null si no tiene
+const hrefOf = (html) => {
+  const match = html.match(/<a\b[^>]*\shref="([^"]*)"/i);
+  return match ? match[1] : null;
+};
+
+test('elimina imágenes con onerror', () => {
+  const html = sanitizeHTML('<p>hola</p><img src=x onerror="alert(1)">');
+  assertSafe(html);
+  assert.equal(html, '<p>hola</p>');
+});
+
+test('elimina iframes', () => {
+  const html = sanitizeHTML('<p>a</p><iframe src="https://evil.com"></iframe>');
+  assertSafe(html);
+  assert.equal(html, '<p>a</p>');
+});
+
+test('elimina svg con onload', () => {
+  assertSafe(sanitizeHTML('<svg onload="alert(1)"><circle r="1"/></svg>'));
+});
+
+test('elimina scripts anidados', () => {
+  assertSafe(sanitizeHTML('<scr<script>ipt>alert(1)</scr</script>ipt>'));
+  assertSafe(sanitizeHTML('<script>alert(1)</script>'));
+});
+
+test('quita los enlaces javascript: en cualquier forma', () => {
+  [
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href="  javascript:alert(1)">x</a>'
+  ].forEach(payload => {
+    const html = sanitizeHTML(payload);
+    assertSafe(html);
+    assert.equal(hrefOf(html), null);
+  });
+});
+
+test('quita los enlaces data:', () => {
+  const html = sanitizeHTML('<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>');
+  assert.equal(hrefOf(html), null);
+});
+
+test('quita los enlaces relativos al protocolo', () => {
+  const html = sanitizeHTML('<a href="//evil.com">x</a>');
+  assert.equal(hrefOf(html), null);
+});
+
+test('conserva los enlaces http y los marca como externos', () => {
+  const html = sanitizeHTML('<a href="https://orbya.app" onclick="alert(1)">x</a>');
+  assertSafe(html);
+  assert.equal(hrefOf(html), 'https://orbya.app');
+  assert.match(html, /rel="noopener noreferrer nofollow"/);
+  assert.match(html, /target="_blank"/);
+});
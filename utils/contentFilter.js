@@ -0,0 +1,158 @@
+const FilterTerm = require('../models/FilterTerm');
+const Report = require('../models/Report');
+const { escapeRegex, mapHTMLText } = require('./text');
+
+// Los términos se guardan en memoria y se recargan como mucho cada minuto
+// (o al modificarlos desde la administración)
+const TERMS_CACHE_TTL = 60 * 1000;
+
+let cachedTerms = null;
+let cachedAt = 0;
+
+// Pasar un texto a minúsculas y quitarle las tildes y diéresis
+const normalizeText = (text) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Expresión que busca un término normalizado. Los espacios del término
+// admiten cualquier separación y, si es de palabra completa, no puede ir
+// pegado a otras letras o números
+const buildTermPattern = ({ normalizedTerm, wholeWord }) => {
+  const body = normalizedTerm.split(/\s+/).map(escapeRegex).join('\\s+');
+  return new RegExp(wholeWord ? `(?<![a-z0-9])${body}(?![a-z0-9])` : body, 'g');
+};
+
+// Obtener los términos del filtro con su expresión ya compilada
+const getFilterTerms = async () => {
+  if (!cachedTerms || Date.now() - cachedAt > TERMS_CACHE_TTL) {
+    const terms = await FilterTerm.find().select('term normalizedTerm action wholeWord');
+    cachedTerms = terms.map(term => ({
+      term: term.term,
+      action: term.action,
+      pattern: buildTermPattern(term)
+    }));
+    cachedAt = Date.now();
+  }
+  return cachedTerms;
+};
+
+// Forzar que los términos se recarguen en el siguiente uso
+const invalidateFilterTerms = () => {
+  cachedTerms = null;
+};
+
+// Normalizar un texto recordando, para cada carácter normalizado, la posición
+// del carácter original del que procede. Así se pueden enmascarar los términos
+// en el texto original aunque al quitar tildes cambie la longitud
+const normalizeWithPositions = (text) => {
+  let normalized = '';
+  const positions = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const chunk = normalizeText(text[index]);
+    normalized += chunk;
+    for (let i = 0; i < chunk.length; i++) positions.push(index);
+  }
+
+  return { normalized, positions };
+};
+
+// Buscar los términos en un texto plano. Anota en `matches` los encontrados
+// y devuelve las posiciones del texto que hay que enmascarar (las de los
+// términos `mask`, sin los espacios)
+const findTerms = (text, terms, matches) => {
+  const { normalized, positions } = normalizeWithPositions(text);
+  const maskedPositions = new Set();
+
+  terms.forEach(({ term, action, pattern }) => {
+    pattern.lastIndex = 0;
+    for (const match of normalized.matchAll(pattern)) {
+      matches[action].add(term);
+
+      if (action === 'mask') {
+        const start = positions[match.index];
+        const end = positions[match.index + match[0].length - 1];
+        for (let index = start; index <= end; index++) {
+          if (!/\s/.test(text[index])) maskedPositions.add(index);
+        }
+      }
+    }
+  });
+
+  return maskedPositions;
+};
+
+// Enmascarar en el HTML los caracteres del texto plano indicados. Cada
+// carácter sustituye a su fragmento de HTML (una entidad queda en un solo
+// asterisco) y las etiquetas se conservan
+const maskHTML = (html, sources, maskedPositions) => {
+  const chunks = html.split('');
+  maskedPositions.forEach(index => {
+    const source = sources[index];
+    if (!source) return;
+    chunks[source.start] = '*';
+    for (let i = source.start + 1; i < source.end; i++) chunks[i] = '';
+  });
+  return chunks.join('');
+};
+
+// Pasar un texto por el filtro de contenido. El texto enriquecido se revisa
+// como texto plano (sin etiquetas y con las entidades decodificadas) para
+// que un término no se libre partiéndolo con etiquetas o escribiéndolo con
+// entidades. Devuelve el texto resultante y los términos encontrados que
+// bloquean el contenido o lo marcan para revisión
+const filterContent = async (text, { isRichText = false } = {}) => {
+  const terms = await getFilterTerms();
+  if (!text || terms.length === 0) {
+    return { text, blockedTerms: [], flaggedTerms: [] };
+  }
+
+  const matches = { block: new Set(), mask: new Set(), flag: new Set() };
+  let filteredText;
+  if (isRichText) {
+    const { text: plainText, sources } = mapHTMLText(text);
+    filteredText = maskHTML(text, sources, findTerms(plainText, terms, matches));
+  } else {
+    const maskedPositions = findTerms(text, terms, matches);
+    filteredText = text.split('').map((char, index) => maskedPositions.has(index) ? '*' : char).join('');
+  }
+
+  return {
+    text: filteredText,
+    blockedTerms: [...matches.block],
+    flaggedTerms: [...matches.flag]
+  };
+};
+
+// Crear una denuncia automática para el contenido marcado por el filtro
+// (`target`: { targetType, post, message, comment, reportedUser }), salvo que ya haya
+// una pendiente sobre el mismo contenido
+const flagContent = async (target, flaggedTerms) => {
+  const targetFilter = {
+    targetType: target.targetType,
+    post: target.post || null,
+    message: target.message || null,
+    comment: target.comment || null,
+    reportedUser: target.reportedUser
+  };
+
+  const pendingReport = await Report.exists({
+    ...targetFilter,
+    reporter: null,
+    status: { $in: ['open', 'reviewing'] }
+  });
+  if (pendingReport) return;
+
+  await Report.create({
+    ...targetFilter,
+    reporter: null,
+    reason: 'other',
+    details: `Filtro automático: ${flaggedTerms.join(', ')}`.slice(0, 500)
+  });
+};
+
+module.exports = {
+  filterContent,
+  flagContent,
+  invalidateFilterTerms,
+  normalizeText
+};
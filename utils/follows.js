@@ -0,0 +1,78 @@
+const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
+
+// Verificar seguimiento mutuo
+const checkMutualFollow = async (userId1, userId2) => {
+  const user1 = await User.findById(userId1);
+  const user2 = await User.findById(userId2);
+  
+  if (!user1 || !user2) return false;
+
+  // Un bloqueo en cualquier dirección impide chatear
+  if (user1.blocked.includes(userId2) || user2.blocked.includes(userId1)) return false;
+  
+  const user1FollowsUser2 = user1.following.includes(userId2);
+  const user2FollowsUser1 = user2.following.includes(userId1);
+  
+  return user1FollowsUser2 && user2FollowsUser1;
+};
+
+// Ids de las cuentas que sigue el usuario y que también le siguen a él
+const findMutualIds = (user) =>
+  User.distinct('_id', { _id: { $in: user.following }, following: user._id });
+
+// Indicar si alguno de los dos usuarios ha bloqueado al otro
+const isBlockedBetween = async (userId1, userId2) =>
+  Boolean(await User.exists({
+    $or: [
+      { _id: userId1, blocked: userId2 },
+      { _id: userId2, blocked: userId1 }
+    ]
+  }));
+
+// Ids de los usuarios que no deben verse con `user` por un bloqueo: los que
+// ha bloqueado y los que le han bloqueado a él
+const findBlockedIds = async (user) => [
+  ...user.blocked,
+  ...await User.distinct('_id', { blocked: user._id })
+];
+
+// Crear la relación de seguimiento entre dos usuarios
+const addFollow = async (followerId, followedId) => {
+  await User.findByIdAndUpdate(followerId, {
+    $addToSet: { following: followedId }
+  });
+
+  await User.findByIdAndUpdate(followedId, {
+    $addToSet: { followers: followerId }
+  });
+};
+
+// Aceptar todas las solicitudes pendientes de una cuenta (al hacerla pública)
+const acceptPendingRequests = async (userId) => {
+  const requests = await FollowRequest.find({ target: userId }).select('requester');
+
+  for (const request of requests) {
+    await addFollow(request.requester, userId);
+  }
+  await FollowRequest.deleteMany({ _id: { $in: requests.map(request => request._id) } });
+
+  return requests.length;
+};
+
+// Indicar si `viewer` puede ver el contenido de `user`: siempre que la cuenta
+// no sea privada, sea la suya o ya la siga
+const canViewAccount = (viewer, user) =>
+  !user.isPrivate ||
+  viewer._id.equals(user._id) ||
+  viewer.following.some(id => id.equals(user._id));
+
+module.exports = {
+  acceptPendingRequests,
+  addFollow,
+  canViewAccount,
+  checkMutualFollow,
+  findBlockedIds,
+  findMutualIds,
+  isBlockedBetween
+};
@@ -0,0 +1,76 @@
+const PostInsight = require('../models/PostInsight');
+
+const HOUR = 60 * 60 * 1000;
+
+// Contadores pendientes de guardar, por post y hora. Se acumulan en memoria y
+// se vuelcan periódicamente para no escribir en cada respuesta
+let pendingInsights = new Map();
+
+// Inicio de la hora a la que pertenece una fecha
+const hourOf = (date = new Date()) => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+
+// Sumar los contadores de `bucket` ({ post, author, hour, impressions, likes })
+// a los pendientes de guardar
+const addToPending = (bucket) => {
+  const key = `${bucket.post}_${bucket.hour.getTime()}`;
+  const pending = pendingInsights.get(key);
+
+  if (pending) {
+    pending.impressions += bucket.impressions;
+    pending.likes += bucket.likes;
+  } else {
+    pendingInsights.set(key, { ...bucket });
+  }
+};
+
+// Id de un campo que puede venir poblado o no
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Registrar que se han mostrado `posts` a `viewer`. Las visitas del propio
+// autor no cuentan
+const recordImpressions = (posts, viewer) => {
+  posts.forEach(post => {
+    const authorId = idOf(post.author);
+    if (!authorId || authorId.toString() === viewer._id.toString()) return;
+    addToPending({ post: post._id, author: authorId, hour: hourOf(), impressions: 1, likes: 0 });
+  });
+};
+
+// Registrar una nueva reacción a un post
+const recordLike = (post) => {
+  addToPending({ post: post._id, author: idOf(post.author), hour: hourOf(), impressions: 0, likes: 1 });
+};
+
+// Guardar los contadores pendientes. Los que no se hayan podido guardar se
+// conservan para el siguiente volcado
+const flushInsights = async () => {
+  if (pendingInsights.size === 0) return;
+
+  const buckets = [...pendingInsights.values()];
+  pendingInsights = new Map();
+
+  try {
+    await PostInsight.bulkWrite(buckets.map(({ post, author, hour, impressions, likes }) => ({
+      updateOne: {
+        filter: { post, hour },
+        update: { $inc: { impressions, likes }, $setOnInsert: { author } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    // En un error de escritura masiva solo se reintentan las operaciones fallidas
+    const failedBuckets = Array.isArray(error.writeErrors)
+      ? error.writeErrors.map(writeError => buckets[writeError.index])
+      : buckets;
+    failedBuckets.forEach(addToPending);
+    throw error;
+  }
+};
+
+module.exports = {
+  HOUR,
+  flushInsights,
+  hourOf,
+  recordImpressions,
+  recordLike
+};
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const Like = require('../models/Like');
+const PollVote = require('../models/PollVote');
+const User = require('../models/User');
+const { extractEntities } = require('./text');
+const { avatarUrl } = require('./uploads');
+const { reactionCountsOf } = require('./reactions');
+const { visibilityFilter } = require('./visibility');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const RECENT_LIKES_COUNT = 3;
+
+// Posts publicados y no ocultados por moderación. Los posts anteriores a los
+// borradores no tienen `status`, por eso se excluyen los no publicados en vez
+// de pedir 'published'
+const PUBLISHED_FILTER = { status: { $nin: ['draft', 'scheduled'] }, isHidden: { $ne: true } };
+
+// Tamaño de página pedido por el cliente, dentro de los límites permitidos
+const getPageSize = (limit) =>
+  Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Filtro de las páginas ordenadas por _id a partir del cursor (el id del
+// último elemento recibido). Por defecto las páginas van de más reciente a
+// más antiguo; con `ascending` al revés. Devuelve null si el cursor no es válido
+const idCursorFilter = (cursor, { ascending = false } = {}) => {
+  if (!cursor) return {};
+  if (!/^[a-f\d]{24}$/i.test(cursor)) return null;
+  return { _id: ascending ? { $gt: cursor } : { $lt: cursor } };
+};
+
+// Interpretar el cursor `before`: puede ser el id de un post o una fecha.
+// Si el post del cursor se ha borrado se usa la fecha de su id, que solo
+// tiene precisión de segundos, así que se desempata por id dentro de ese segundo
+const resolveCursor = async (before) => {
+  if (/^[a-f\d]{24}$/i.test(before)) {
+    const post = await Post.findById(before).select('createdAt');
+    if (post) return { createdAt: post.createdAt, id: post._id };
+
+    const id = new mongoose.Types.ObjectId(before);
+    const createdAt = id.getTimestamp();
+    return { createdAt, until: new Date(createdAt.getTime() + 1000), id };
+  }
+
+  const date = new Date(before);
+  return isNaN(date.getTime()) ? null : { createdAt: date };
+};
+
+// Posts estrictamente anteriores al cursor (el _id desempata fechas iguales)
+const cursorFilter = (cursor) => {
+  if (!cursor.id) {
+    return { createdAt: { $lt: cursor.createdAt } };
+  }
+
+  return {
+    $or: [
+      { createdAt: { $lt: cursor.createdAt } },
+      {
+        createdAt: cursor.until ? { $gte: cursor.createdAt, $lt: cursor.until } : cursor.createdAt,
+        _id: { $lt: cursor.id }
+      }
+    ]
+  };
+};
+
+// Obtener la galería de un post o de una revisión. Los posts antiguos solo
+// tienen `image`, que se devuelve como galería de una imagen
+const galleryOf = (version) => {
+  if (version.images && version.images.length > 0) {
+    return version.images.map(image => ({
+      path: image.path,
+      feedPath: image.feedPath,
+      alt: image.alt
+    }));
+  }
+  return version.image ? [{ path: version.image, feedPath: null, alt: '' }] : [];
+};
+
+// Formatear una imagen de la galería. `feedUrl` es la versión reducida (en
+// imágenes antiguas coincide con el original)
+const formatImage = (image) => ({
+  url: image.path,
+  feedUrl: image.feedPath || image.path,
+  alt: image.alt
+});
+
+// Formatear la encuesta de un post. `viewerVote` son las opciones que eligió
+// el usuario actual; los resultados solo se muestran si ya ha votado o si la
+// encuesta está cerrada
+const formatPoll = (poll, viewerVote) => {
+  if (!poll) return null;
+
+  const isClosed = poll.closesAt <= new Date();
+  const showResults = isClosed || Boolean(viewerVote);
+
+  return {
+    options: poll.options.map(option => ({
+      id: option._id,
+      text: option.text,
+      votesCount: showResults ? option.votesCount : null
+    })),
+    multiple: poll.multiple,
+    closesAt: poll.closesAt,
+    isClosed,
+    votersCount: showResults ? poll.votersCount : null,
+    viewerVote: viewerVote || null,
+    showResults
+  };
+};
+
+// Calcular hashtags y menciones de un post. Las menciones solo se guardan si
+// corresponden a un usuario existente
+const buildPostEntities = async (text, isRichText) => {
+  const { hashtags, usernames } = extractEntities(text, isRichText);
+
+  const mentionedUsers = usernames.length > 0
+    ? await User.find({ username: { $in: usernames } }).select('username')
+    : [];
+
+  return {
+    hashtags,
+    mentions: mentionedUsers.map(user => ({ user: user._id, username: user.username }))
+  };
+};
+
+// Campos y relaciones necesarios para formatear posts
+const withPostSummary = (query) => query
+  .select({ revisions: 0, searchText: 0 })
+  .populate('author', 'username profilePicture profilePictureThumb')
+  .populate('mentions.user', 'username');
+
+// Obtener los nombres de quienes reaccionaron más recientemente a cada post.
+// Una agregación para todos los posts y una consulta para los nombres
+const findRecentLikers = async (postIds) => {
+  const recentLikes = await Like.aggregate([
+    { $match: { post: { $in: postIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: '$post',
+        users: {
+          $topN: { n: RECENT_LIKES_COUNT, sortBy: { createdAt: -1, _id: -1 }, output: '$user' }
+        }
+      }
+    }
+  ]);
+
+  const users = await User.find({ _id: { $in: recentLikes.flatMap(like => like.users) } })
+    .select('username');
+  const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+  const likersByPost = new Map(recentLikes.map(like => [like._id.toString(), like.users]));
+
+  return new Map(postIds.map(postId => [
+    postId.toString(),
+    (likersByPost.get(postId.toString()) || [])
+      .map(userId => usernames.get(userId.toString()))
+      .filter(Boolean)
+  ]));
+};
+
+// Obtener un post publicado que `viewer` puede ver, o null. Se usa en las
+// acciones que no se permiten sobre borradores ni sobre posts ajenos a su audiencia
+const findReadablePost = async (postId, viewer, projection) =>
+  Post.findOne({
+    $and: [{ _id: postId }, PUBLISHED_FILTER, await visibilityFilter(viewer)]
+  }).select(projection);
+
+// Obtener un post listo para formatear
+const findPost = (postId) => withPostSummary(Post.findById(postId));
+
+// Obtener varios posts publicados y visibles para `viewer`, listos para
+// formatear y en el orden de `postIds`. Los demás se omiten
+const findPostsByIds = async (postIds, viewer) => {
+  const posts = await withPostSummary(Post.find({
+    $and: [{ _id: { $in: postIds } }, PUBLISHED_FILTER, await visibilityFilter(viewer)]
+  }));
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+  return postIds.map(id => postsById.get(id.toString())).filter(Boolean);
+};
+
+// Obtener una página de posts visibles para `viewer`, ordenada del más
+// reciente al más antiguo. Si `filter` no indica `status` solo se incluyen
+// posts publicados. Devuelve null si el cursor no es válido.
+const findPostsPage = async (filter, { before, limit } = {}, viewer) => {
+  const pageSize = getPageSize(limit);
+
+  const conditions = [filter, await visibilityFilter(viewer)];
+  if (!filter.status) {
+    conditions.push(PUBLISHED_FILTER);
+  }
+  if (before) {
+    const cursor = await resolveCursor(before);
+    if (!cursor) return null;
+    conditions.push(cursorFilter(cursor));
+  }
+  const query = { $and: conditions };
+
+  const posts = await withPostSummary(Post.find(query))
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = posts.length > pageSize;
+  const pagePosts = posts.slice(0, pageSize);
+
+  return {
+    posts: pagePosts,
+    nextCursor: hasMore ? pagePosts[pagePosts.length - 1]._id.toString() : null
+  };
+};
+
+// Formatear los campos propios de un post. `viewerState` contiene la reacción
+// y el voto del usuario actual en cada post, los ids de los que ha reposteado
+// o guardado y los últimos usuarios que han reaccionado a cada post
+const formatPostBody = (post, viewerState, req) => ({
+  id: post._id,
+  text: post.text,
+  image: post.image,
+  images: galleryOf(post).map(formatImage),
+  author: post.author ? post.author.username : null,
+  authorProfilePicture: post.author ? avatarUrl(req, post.author) : null,
+  createdAt: post.createdAt,
+  isRichText: post.isRichText,
+  editedAt: post.editedAt,
+  visibility: post.visibility,
+  status: post.status,
+  publishAt: post.publishAt,
+  likesCount: post.likesCount,
+  reactions: reactionCountsOf(post.reactionCounts),
+  viewerReaction: viewerState.reactions.get(post._id.toString()) || null,
+  hasLiked: viewerState.reactions.has(post._id.toString()),
+  recentLikes: viewerState.recentLikers.get(post._id.toString()) || [],
+  commentsCount: post.commentsCount,
+  repostsCount: post.repostsCount,
+  hasReposted: viewerState.reposted.has(post._id.toString()),
+  isBookmarked: viewerState.bookmarked.has(post._id.toString()),
+  poll: formatPoll(post.poll, viewerState.pollVotes.get(post._id.toString())),
+  entities: {
+    hashtags: post.hashtags,
+    // Se devuelve el nombre actual del usuario mencionado, no el que tenía al
+    // escribir el post, y se omiten las cuentas eliminadas
+    mentions: post.mentions
+      .filter(mention => mention.user)
+      .map(mention => ({
+        id: mention.user._id,
+        username: mention.user.username
+      }))
+  }
+});
+
+// Formatear posts para la respuesta con el resumen de reacciones del usuario actual.
+// Los reposts y citas incluyen el post original en `repostOf`, o
+// { id, isDeleted: true } si el original ya no existe y
+// { id, isUnavailable: true } si el usuario actual no puede verlo
+const formatPosts = async (posts, req) => {
+  const originalIds = posts.filter(post => post.repostOf).map(post => post.repostOf);
+  const originals = originalIds.length > 0
+    ? await withPostSummary(Post.find({
+      $and: [{ _id: { $in: originalIds } }, PUBLISHED_FILTER, await visibilityFilter(req.user)]
+    }))
+    : [];
+  const originalsById = new Map(originals.map(post => [post._id.toString(), post]));
+
+  // Distinguir los originales borrados de los que existen pero no son visibles
+  const hiddenIds = originals.length < originalIds.length
+    ? await Post.distinct('_id', { _id: { $in: originalIds.filter(id => !originalsById.has(id.toString())) } })
+    : [];
+  const hiddenOriginals = new Set(hiddenIds.map(id => id.toString()));
+
+  const allIds = [...posts, ...originals].map(post => post._id);
+  const pollPostIds = [...posts, ...originals].filter(post => post.poll).map(post => post._id);
+  const [viewerLikes, repostedPostIds, bookmarkedPostIds, recentLikers, viewerVotes] = await Promise.all([
+    Like.find({ post: { $in: allIds }, user: req.user._id }).select('post reaction'),
+    Post.distinct('repostOf', { author: req.user._id, repostOf: { $in: allIds }, text: '' }),
+    Bookmark.distinct('post', { user: req.user._id, post: { $in: allIds } }),
+    findRecentLikers(allIds),
+    pollPostIds.length > 0
+      ? PollVote.find({ post: { $in: pollPostIds }, user: req.user._id }).select('post options')
+      : []
+  ]);
+  const viewerState = {
+    reactions: new Map(viewerLikes.map(like => [like.post.toString(), like.reaction])),
+    reposted: new Set(repostedPostIds.map(id => id.toString())),
+    bookmarked: new Set(bookmarkedPostIds.map(id => id.toString())),
+    recentLikers,
+    pollVotes: new Map(viewerVotes.map(vote => [vote.post.toString(), vote.options]))
+  };
+
+  return posts.map(post => {
+    const formattedPost = {
+      ...formatPostBody(post, viewerState, req),
+      isRepost: post.isPlainRepost(),
+      isQuote: Boolean(post.repostOf) && !post.isPlainRepost(),
+      repostOf: null
+    };
+
+    if (post.repostOf) {
+      const original = originalsById.get(post.repostOf.toString());
+      if (original) {
+        formattedPost.repostOf = formatPostBody(original, viewerState, req);
+      } else if (hiddenOriginals.has(post.repostOf.toString())) {
+        formattedPost.repostOf = { id: post.repostOf, isUnavailable: true };
+      } else {
+        formattedPost.repostOf = { id: post.repostOf, isDeleted: true };
+      }
+    }
+
+    return formattedPost;
+  });
+};
+
+module.exports = {
+  buildPostEntities,
+  findPost,
+  findPostsByIds,
+  findPostsPage,
+  findReadablePost,
+  findRecentLikers,
+  formatImage,
+  formatPoll,
+  formatPosts,
+  galleryOf,
+  getPageSize,
+  idCursorFilter,
+  PUBLISHED_FILTER
+};
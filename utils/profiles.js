@@ -0,0 +1,59 @@
+const { avatarUrl, profilePictureUrl } = require('./uploads');
+
+// Campos del perfil cuya visibilidad elige cada usuario en `privacy`
+const PRIVATE_FIELDS = ['email', 'age', 'gender', 'studies'];
+
+// Saber si `viewer` puede ver un campo privado de `user` según su configuración
+const canViewField = (user, field, viewer) => {
+  if (viewer._id.equals(user._id)) return true;
+
+  const level = user.privacy && user.privacy[field];
+  if (level === 'public') return true;
+  if (level === 'followers') {
+    return viewer.following.some(followed => (followed._id || followed).equals(user._id));
+  }
+  return false;
+};
+
+// Serializar un usuario para las respuestas de perfil. Por defecto devuelve el
+// resumen que se usa en las listas (id, nombre y avatar); con `detailed` añade
+// los datos del perfil completo. Los campos privados solo se incluyen si se han
+// cargado y `viewer` tiene permiso para verlos; al propio usuario se le
+// devuelve también su configuración de privacidad
+const serializeProfile = (req, user, viewer, { detailed = false } = {}) => {
+  const profile = {
+    id: user._id,
+    username: user.username,
+    profilePicture: avatarUrl(req, user)
+  };
+
+  if (detailed) {
+    Object.assign(profile, {
+      profilePicture: profilePictureUrl(req, user.profilePicture),
+      profilePictureThumb: avatarUrl(req, user),
+      description: user.description,
+      isPrivate: user.isPrivate,
+      createdAt: user.createdAt
+    });
+  }
+
+  PRIVATE_FIELDS.forEach(field => {
+    if (user[field] !== undefined && canViewField(user, field, viewer)) {
+      profile[field] = user[field];
+    }
+  });
+
+  if (detailed && viewer._id.equals(user._id) && user.privacy) {
+    profile.privacy = PRIVATE_FIELDS.reduce((privacy, field) => {
+      privacy[field] = user.privacy[field];
+      return privacy;
+    }, {});
+  }
+
+  return profile;
+};
+
+module.exports = {
+  PRIVATE_FIELDS,
+  serializeProfile
+};
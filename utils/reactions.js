@@ -0,0 +1,26 @@
+// Reacciones disponibles en los posts. Se guarda la clave; el emoji es el que
+// muestran los clientes
+const REACTIONS = {
+  love: '❤️',
+  haha: '😂',
+  wow: '😮',
+  sad: '😢',
+  like: '👍',
+  angry: '😡'
+};
+
+const REACTION_TYPES = Object.keys(REACTIONS);
+
+// Reacción que corresponde al antiguo "like"
+const DEFAULT_REACTION = 'love';
+
+// Recuento por reacción como objeto plano, con 0 en las que no tienen ninguna
+const reactionCountsOf = (counts) =>
+  Object.fromEntries(REACTION_TYPES.map(type => [type, (counts && counts[type]) || 0]));
+
+module.exports = {
+  DEFAULT_REACTION,
+  REACTIONS,
+  REACTION_TYPES,
+  reactionCountsOf
+};
@@ -0,0 +1,31 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Lista de etiquetas y atributos permitidos en los posts de texto enriquecido.
+// Todo lo demás se elimina (el contenido de <script>, <style>, etc. también)
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'p', 'br', 'strong', 'b', 'em', 'i',
+    'ul', 'ol', 'li', 'blockquote', 'code', 'pre', 'hr', 'a'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target']
+  },
+  // Los enlaces solo pueden usar estos esquemas (nada de javascript:, data:, ...)
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href'],
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'discard',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', {
+      rel: 'noopener noreferrer nofollow',
+      target: '_blank'
+    })
+  }
+};
+
+// Sanitizar el HTML de un post de texto enriquecido en el servidor
+const sanitizeHTML = (html) => sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+
+module.exports = {
+  sanitizeHTML
+};
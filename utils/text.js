@@ -0,0 +1,99 @@
+// Etiquetas de bloque que separan palabras al quitar el HTML
+const BLOCK_TAG = /^<\/?(p|br|h[1-6]|ul|ol|li|blockquote|pre|hr|div)\b[^>]*>$/i;
+
+// Piezas en que se divide el HTML: scripts y estilos completos, etiquetas,
+// entidades y caracteres sueltos
+const HTML_TOKEN = /<(script|style)\b[\s\S]*?<\/\1>|<[^>]*>|&(?:#\d+|#x[\da-f]+|[a-z]+);|[\s\S]/gi;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+};
+
+// Escapar caracteres especiales para usar el texto dentro de una RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Texto de una entidad HTML, o null si no se reconoce
+const decodeEntity = (entity) => {
+  if (HTML_ENTITIES[entity.toLowerCase()]) return HTML_ENTITIES[entity.toLowerCase()];
+
+  const codeMatch = entity.match(/^&#(x?)([\da-f]+);$/i);
+  if (!codeMatch) return null;
+  const code = parseInt(codeMatch[2], codeMatch[1] ? 16 : 10);
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+};
+
+// Convertir HTML en texto plano sin etiquetas y con las entidades
+// decodificadas. Para cada carácter del texto se indica en `sources` el
+// fragmento del HTML del que procede ({ start, end }), o null si es un espacio
+// que sustituye a una etiqueta de bloque
+const mapHTMLText = (html) => {
+  let text = '';
+  const sources = [];
+
+  for (const match of html.matchAll(HTML_TOKEN)) {
+    const [token] = match;
+    const start = match.index;
+
+    if (token.length > 1 && token.startsWith('<')) {
+      if (match[1] || BLOCK_TAG.test(token)) {
+        text += ' ';
+        sources.push(null);
+      }
+      continue;
+    }
+
+    const decoded = token.startsWith('&') ? decodeEntity(token) : null;
+    if (decoded) {
+      text += decoded;
+      for (let i = 0; i < decoded.length; i++) sources.push({ start, end: start + token.length });
+    } else {
+      text += token;
+      for (let i = 0; i < token.length; i++) sources.push({ start: start + i, end: start + i + 1 });
+    }
+  }
+
+  return { text, sources };
+};
+
+// Convertir HTML de un post de texto enriquecido en texto plano
+const stripHTML = (html) => mapHTMLText(html).text
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Los hashtags admiten letras con tilde y ñ; las menciones siguen las reglas
+// de los nombres de usuario. No se reconocen si van pegados a otra palabra
+// (por ejemplo, en un email)
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_])#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_@])@([a-zA-Z0-9_]{3,20})(?![a-zA-Z0-9_])/gu;
+
+// Extraer hashtags (en minúsculas) y nombres de usuario mencionados, sin repetir
+const extractEntities = (text, isRichText) => {
+  const plainText = isRichText ? stripHTML(text) : text;
+
+  const hashtags = new Set();
+  for (const match of plainText.matchAll(HASHTAG_REGEX)) {
+    hashtags.add(match[2].toLowerCase());
+  }
+
+  const usernames = new Set();
+  for (const match of plainText.matchAll(MENTION_REGEX)) {
+    usernames.add(match[2]);
+  }
+
+  return {
+    hashtags: [...hashtags],
+    usernames: [...usernames]
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  mapHTMLText,
+  stripHTML,
+  extractEntities
+};
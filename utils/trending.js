@@ -0,0 +1,98 @@
+const Like = require('../models/Like');
+const Post = require('../models/Post');
+const { PUBLISHED_FILTER } = require('./posts');
+
+const HOUR = 60 * 60 * 1000;
+
+// Ventanas de tiempo disponibles. Cada reacción suma menos cuanto más antigua
+// es: su peso se reduce a la mitad cada `halfLife`
+const TRENDING_WINDOWS = {
+  '24h': { duration: 24 * HOUR, halfLife: 6 * HOUR },
+  '7d': { duration: 7 * 24 * HOUR, halfLife: 24 * HOUR }
+};
+
+// Número de posts que se guardan en cada ranking
+const TRENDING_LIMIT = 200;
+
+// Último ranking calculado por ventana: { postIds, updatedAt }
+const trendingCache = new Map();
+
+// Posts que pueden aparecer en tendencias: publicados, públicos, de cuentas
+// no privadas y creados dentro de la ventana
+const trendingFilter = (since) => ({
+  $and: [
+    PUBLISHED_FILTER,
+    {
+      createdAt: { $gte: since },
+      visibility: { $nin: ['followers', 'mutuals'] },
+      authorIsPrivate: { $ne: true }
+    }
+  ]
+});
+
+// Calcular el ranking de una ventana a partir de las reacciones recibidas en
+// ella, con más peso para las más recientes
+const computeTrending = async (windowName) => {
+  const { duration, halfLife } = TRENDING_WINDOWS[windowName];
+  const now = new Date();
+  const since = new Date(now.getTime() - duration);
+
+  const scores = await Like.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$post',
+        score: {
+          $sum: {
+            $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLife] }]
+          }
+        }
+      }
+    },
+    { $sort: { score: -1, _id: -1 } }
+  ]);
+
+  // Quedarse con los posts que cumplen las condiciones, en orden de puntuación
+  const eligible = await Post.find({
+    $and: [trendingFilter(since), { _id: { $in: scores.map(score => score._id) } }]
+  }).select('_id');
+  const eligibleIds = new Set(eligible.map(post => post._id.toString()));
+
+  return scores
+    .filter(score => eligibleIds.has(score._id.toString()))
+    .slice(0, TRENDING_LIMIT)
+    .map(score => score._id);
+};
+
+// Recalcular y guardar el ranking de todas las ventanas
+const refreshTrending = async () => {
+  for (const windowName of Object.keys(TRENDING_WINDOWS)) {
+    const postIds = await computeTrending(windowName);
+    trendingCache.set(windowName, { postIds, updatedAt: new Date() });
+  }
+};
+
+// Obtener el ranking de una ventana. Si aún no se ha calculado o no hay
+// reacciones en la ventana, se ordenan los posts recientes por su número
+// total de reacciones
+const getTrendingPostIds = async (windowName) => {
+  const cached = trendingCache.get(windowName);
+  if (cached && cached.postIds.length > 0) return cached;
+
+  const since = new Date(Date.now() - TRENDING_WINDOWS[windowName].duration);
+  const posts = await Post.find(trendingFilter(since))
+    .sort({ likesCount: -1, _id: -1 })
+    .limit(TRENDING_LIMIT)
+    .select('_id');
+
+  return {
+    postIds: posts.map(post => post._id),
+    updatedAt: cached ? cached.updatedAt : null
+  };
+};
+
+module.exports = {
+  getTrendingPostIds,
+  refreshTrending,
+  TRENDING_WINDOWS
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// Borrar del disco archivos subidos. Recibe rutas relativas a uploads/
+// ('/uploads/imagen.jpg' o 'profiles/foto.jpg'); los errores solo se registran
+const removeUploads = async (filePaths) => {
+  await Promise.all(filePaths.filter(Boolean).map(async (filePath) => {
+    const relativePath = filePath.replace(/^\/?uploads\//, '');
+    const absolutePath = path.resolve(UPLOADS_DIR, relativePath);
+
+    // Evitar borrar nada fuera de la carpeta de subidas
+    if (!absolutePath.startsWith(UPLOADS_DIR + path.sep)) {
+      return;
+    }
+
+    try {
+      await fs.promises.unlink(absolutePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error eliminando archivo ${absolutePath}:`, error);
+      }
+    }
+  }));
+};
+
+// URL base del servidor. Fuera de una petición HTTP (tareas programadas) se
+// usa PUBLIC_URL, o rutas relativas si no está configurada
+const baseUrl = (req) => typeof req.get === 'function'
+  ? `${req.protocol}://${req.get('host')}`
+  : (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+// URL pública de una foto de perfil guardada en uploads/profiles/
+const profilePictureUrl = (req, filename) => filename ?
+  `${baseUrl(req)}/uploads/profiles/${filename}` : null;
+
+// Avatar para listados: la miniatura si existe (las fotos subidas antes del
+// procesado de imágenes no la tienen) o la foto completa
+const avatarUrl = (req, user) =>
+  profilePictureUrl(req, user.profilePictureThumb || user.profilePicture);
+
+module.exports = {
+  avatarUrl,
+  profilePictureUrl,
+  removeUploads
+};
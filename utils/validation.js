@@ -0,0 +1,13 @@
+const { body } = require('express-validator');
+
+// Reglas del nombre de usuario, comunes al registro y al cambio de nombre
+const usernameRules = () =>
+  body('username')
+    .isLength({ min: 3, max: 20 })
+    .withMessage('El nombre de usuario debe tener entre 3 y 20 caracteres')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('El nombre de usuario solo puede contener letras, números y guiones bajos');
+
+module.exports = {
+  usernameRules
+};
@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const { findBlockedIds, findMutualIds } = require('./follows');
+
+// Audiencias posibles de un post: todos, solo seguidores o solo quienes
+// se siguen mutuamente con el autor
+const POST_VISIBILITIES = ['public', 'followers', 'mutuals'];
+
+// Filtro de los posts que puede ver un usuario. Se calcula con las relaciones
+// de seguimiento actuales, así que al dejar de seguir a alguien sus posts
+// restringidos desaparecen. Los posts antiguos no tienen `visibility` y son públicos.
+// Los posts de cuentas privadas solo los ven sus seguidores, y un bloqueo en
+// cualquier dirección oculta los posts de ambos usuarios al otro
+const visibilityFilter = async (viewer) => {
+  const [mutualIds, blockedIds] = await Promise.all([
+    findMutualIds(viewer),
+    findBlockedIds(viewer)
+  ]);
+
+  return {
+    $and: [
+      { author: { $nin: blockedIds } },
+      {
+        $or: [
+          { author: viewer._id },
+          {
+            $and: [
+              { $or: [{ authorIsPrivate: { $ne: true } }, { author: { $in: viewer.following } }] },
+              {
+                $or: [
+                  { visibility: { $nin: ['followers', 'mutuals'] } },
+                  { visibility: 'followers', author: { $in: viewer.following } },
+                  { visibility: 'mutuals', author: { $in: mutualIds } }
+                ]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+};
+
+// Filtro que quita de los feeds los posts de los usuarios silenciados
+const mutedFilter = (viewer) => ({ author: { $nin: viewer.muted } });
+
+// Emitir un evento de socket solo a quienes pueden ver el post. Los posts
+// restringidos o de cuentas privadas se envían a la sala personal (`user_<id>`)
+// de cada destinatario. `post` debe incluir `author` (sin popular),
+// `visibility` y `authorIsPrivate`
+// Nunca se envía a quienes han bloqueado o silenciado al autor ni a los que
+// el autor ha bloqueado. Si el evento lo provoca otro usuario (`actorId`, por
+// ejemplo al reaccionar o comentar), tampoco a quienes lo han bloqueado o silenciado
+const emitToPostAudience = async (io, post, event, payload, actorId = null) => {
+  if (!io) return;
+
+  const hiddenUserIds = [post.author];
+  if (actorId && actorId.toString() !== post.author.toString()) {
+    hiddenUserIds.push(actorId);
+  }
+
+  const author = await User.findById(post.author).select('following blocked');
+  const excludedIds = [
+    ...(author ? author.blocked : []),
+    ...await User.distinct('_id', {
+      $or: [{ blocked: { $in: hiddenUserIds } }, { muted: { $in: hiddenUserIds } }]
+    })
+  ].map(id => id.toString());
+
+  const isPublic = !post.visibility || post.visibility === 'public';
+  if (isPublic && !post.authorIsPrivate) {
+    io.except(excludedIds.map(id => `user_${id}`)).emit(event, payload);
+    return;
+  }
+
+  const audienceFilter = { following: post.author };
+  if (post.visibility === 'mutuals') {
+    audienceFilter._id = { $in: author ? author.following : [] };
+  }
+
+  const audienceIds = [post.author, ...await User.distinct('_id', audienceFilter)]
+    .filter(id => !excludedIds.includes(id.toString()));
+  // Sin salas, socket.io enviaría el evento a todos
+  if (audienceIds.length === 0) return;
+  io.to(audienceIds.map(id => `user_${id}`)).emit(event, payload);
+};
+
+module.exports = {
+  POST_VISIBILITIES,
+  emitToPostAudience,
+  mutedFilter,
+  visibilityFilter
+};